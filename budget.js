@@ -0,0 +1,249 @@
+/**
+ * Budget Module
+ * Estimates what the trip will cost from activity prices, daily
+ * allowances and the travelling party, as low/high ranges
+ */
+
+const BudgetModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        defaultCategory: 'Attractions'
+    };
+
+    /**
+     * Count who pays for what
+     * @param {Object} party - { adults, children: [{ age }] }
+     * @returns {{adults: number, children: number, people: number}}
+     */
+    function getHeadcount(party) {
+        const adults = Math.max(0, party.adults || 0);
+        const children = (party.children || []).length;
+        return { adults, children, people: adults + children };
+    }
+
+    /**
+     * Describe the party, e.g. '2 adults, 1 child (8)'
+     * @param {Object} party - { adults, children: [{ age }] }
+     * @returns {string}
+     */
+    function describeParty(party) {
+        const { adults, children } = getHeadcount(party);
+        const parts = [`${adults} adult${adults === 1 ? '' : 's'}`];
+        if (children > 0) {
+            const ages = party.children.map(child => child.age).join(', ');
+            parts.push(`${children} child${children === 1 ? '' : 'ren'} (${ages})`);
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Find the age band a child falls in
+     * @param {Object} price - Price with optional bands: [{ minAge, maxAge, jpy, jpyEnd? }]
+     * @param {number} age - Child's age
+     * @returns {Object|null}
+     */
+    function findBand(price, age) {
+        return (price.bands || []).find(band => age >= band.minAge && age <= band.maxAge) || null;
+    }
+
+    /**
+     * Describe an age band, e.g. 'Ages 6–11'
+     * @param {Object} band - { minAge, maxAge }
+     * @returns {string}
+     */
+    function describeBand(band) {
+        return band.minAge === band.maxAge ? `Age ${band.minAge}` : `Ages ${band.minAge}–${band.maxAge}`;
+    }
+
+    /**
+     * Break one price down across the party
+     * @param {Object} price - { jpy, jpyEnd?, unit: 'person' | 'adult' | 'group', bands? }
+     * @param {Object} party - { adults, children: [{ age }] }
+     * @returns {{label: string, low: number, high: number, note: string|null}[]}
+     */
+    function breakdown(price, party) {
+        const low = price.jpy;
+        const high = price.jpyEnd || price.jpy;
+        if (price.unit !== 'person' && price.unit !== 'adult') {
+            return [{ label: 'Group', low, high, note: null }];
+        }
+
+        const { adults } = getHeadcount(party);
+        const lines = [{ label: `${adults} adult${adults === 1 ? '' : 's'}`, low: low * adults, high: high * adults, note: null }];
+
+        (party.children || []).forEach(child => {
+            const label = `Child (${child.age})`;
+            const band = findBand(price, child.age);
+            if (band) {
+                lines.push({ label, low: band.jpy, high: band.jpyEnd || band.jpy, note: describeBand(band) });
+            } else if (price.unit === 'person') {
+                lines.push({ label, low, high, note: 'Full price' });
+            } else {
+                // Only the adult price is known: the child may be free (low) or pay full price (high)
+                lines.push({ label, low: 0, high, note: 'No child price listed' });
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Cost of one price for the party
+     * @param {Object} price - { jpy, jpyEnd?, unit: 'person' | 'adult' | 'group', bands? }
+     * @param {Object} party - { adults, children }
+     * @returns {{low: number, high: number}}
+     */
+    function costFor(price, party) {
+        const total = { low: 0, high: 0 };
+        breakdown(price, party).forEach(line => addCost(total, line));
+        return total;
+    }
+
+    /**
+     * Parse typed age bands like '0-5 free, 6-11 950-1450, 12-17 1400'
+     * @param {string} text - Comma-separated bands
+     * @returns {Object[]|null} - Bands sorted by age, or null when the text can't be read
+     */
+    function parseBands(text) {
+        const bands = [];
+        const items = (text || '').split(',').map(item => item.trim()).filter(Boolean);
+
+        for (const item of items) {
+            const match = /^(\d+)\s*[-–]\s*(\d+)\s+(.+)$/.exec(item);
+            const cost = match ? parseCost(match[3]) : null;
+            if (!cost || Number(match[1]) > Number(match[2])) return null;
+
+            const band = { minAge: Number(match[1]), maxAge: Number(match[2]), jpy: cost.jpy };
+            if (cost.jpyEnd) band.jpyEnd = cost.jpyEnd;
+            bands.push(band);
+        }
+
+        return bands.sort((a, b) => a.minAge - b.minAge);
+    }
+
+    /**
+     * Format age bands back into the text parseBands() reads
+     * @param {Object[]} bands - [{ minAge, maxAge, jpy, jpyEnd? }]
+     * @returns {string}
+     */
+    function formatBands(bands) {
+        return (bands || []).map(band => {
+            const cost = band.jpy === 0 && !band.jpyEnd ? 'free' : `${band.jpy}${band.jpyEnd ? `-${band.jpyEnd}` : ''}`;
+            return `${band.minAge}-${band.maxAge} ${cost}`;
+        }).join(', ');
+    }
+
+    /**
+     * Parse a free-text cost like '¥3.8-5.4k', '¥2,000' or 'Free'
+     * @param {string} text - Cost text
+     * @returns {Object|null} - A per-person price, or null when it can't be read
+     */
+    function parseCost(text) {
+        const cleaned = (text || '').toLowerCase().replace(/[¥,\s]/g, '');
+        if (cleaned === 'free') return { jpy: 0, unit: 'person' };
+
+        const match = /^(\d+(?:\.\d+)?)(?:-(\d+(?:\.\d+)?))?(k?)$/.exec(cleaned);
+        if (!match) return null;
+
+        const scale = match[3] ? 1000 : 1;
+        const price = { jpy: Math.round(parseFloat(match[1]) * scale), unit: 'person' };
+        if (match[2]) price.jpyEnd = Math.round(parseFloat(match[2]) * scale);
+        return price;
+    }
+
+    /**
+     * Add a cost range into a running total
+     * @param {Object} totals - { low, high }
+     * @param {{low: number, high: number}} cost
+     */
+    function addCost(totals, cost) {
+        totals.low += cost.low;
+        totals.high += cost.high;
+    }
+
+    /**
+     * Estimate one day
+     * @param {Object} day - Itinerary day
+     * @param {Object} party - Travelling party
+     * @param {Object[]} allowances - Daily allowances: [{ category, jpy, unit }]
+     * @param {Object} swaps - Prices of suggested replacements, keyed by activity id
+     * @returns {{low: number, high: number, byCategory: Object}}
+     */
+    function estimateDay(day, party, allowances, swaps = {}) {
+        const estimate = { low: 0, high: 0, byCategory: {} };
+        const add = (category, cost) => {
+            estimate.byCategory[category] = estimate.byCategory[category] || { low: 0, high: 0 };
+            addCost(estimate.byCategory[category], cost);
+            addCost(estimate, cost);
+        };
+
+        allowances.forEach(allowance => add(allowance.category, costFor(allowance, party)));
+
+        day.activities
+            .filter(activity => !activity.isAlternative)
+            .forEach(activity => {
+                const planned = activity.price ? costFor(activity.price, party) : { low: 0, high: 0 };
+                const category = (activity.price && activity.price.category) || config.defaultCategory;
+                const swap = swaps[activity.id];
+
+                // A pending suggestion widens the range to cover either choice
+                if (swap) {
+                    const suggested = costFor(swap, party);
+                    add(category, {
+                        low: Math.min(planned.low, suggested.low),
+                        high: Math.max(planned.high, suggested.high)
+                    });
+                } else if (activity.price) {
+                    add(category, planned);
+                }
+            });
+
+        return estimate;
+    }
+
+    /**
+     * Estimate the whole trip
+     * @param {Object} itinerary - { days, party, budget: { allowances } }
+     * @param {Object} swaps - Prices of suggested replacements, keyed by activity id
+     * @returns {{low: number, high: number, byCategory: Object, byDay: Object}}
+     */
+    function estimateTrip(itinerary, swaps = {}) {
+        const allowances = (itinerary.budget && itinerary.budget.allowances) || [];
+        const estimate = { low: 0, high: 0, byCategory: {}, byDay: {} };
+
+        itinerary.days.forEach(day => {
+            const dayEstimate = estimateDay(day, itinerary.party, allowances, swaps);
+            estimate.byDay[day.id] = { low: dayEstimate.low, high: dayEstimate.high };
+            addCost(estimate, dayEstimate);
+
+            Object.entries(dayEstimate.byCategory).forEach(([category, cost]) => {
+                estimate.byCategory[category] = estimate.byCategory[category] || { low: 0, high: 0 };
+                addCost(estimate.byCategory[category], cost);
+            });
+        });
+
+        return estimate;
+    }
+
+    // Public API
+    return {
+        getHeadcount,
+        describeParty,
+        describeBand,
+        breakdown,
+        costFor,
+        parseCost,
+        parseBands,
+        formatBands,
+        estimateDay,
+        estimateTrip
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BudgetModule;
+}
@@ -0,0 +1,209 @@
+/**
+ * Calendar Module
+ * Builds iCalendar (.ics) files from the itinerary, one VEVENT per activity,
+ * in Japan Standard Time
+ */
+
+const CalendarModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        prodId: '-//Family Trip Itinerary//EN',
+        timeZone: 'Asia/Tokyo'
+    };
+
+    /**
+     * Escape a value for an iCalendar TEXT property
+     * @param {string} value - Raw text
+     * @returns {string}
+     */
+    function escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line to 75 octets as RFC 5545 requires
+     * @param {string} line - Unfolded line
+     * @returns {string}
+     */
+    function foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+            if (currentBytes + bytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Tidy a web address for a URL property. Parsing drops stray line
+     * breaks and percent-encodes anything else that could end the line.
+     * @param {string} value - Address
+     * @returns {string|null} - The address, or null when it isn't http(s)
+     */
+    function formatUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse a 'YYYY-MM-DD' date and add days to it
+     * @param {string} startDate - Trip start date
+     * @param {number} offset - Days to add
+     * @returns {string} - 'YYYYMMDD'
+     */
+    function formatDate(startDate, offset) {
+        const [year, month, day] = startDate.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day + offset));
+        return date.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    /**
+     * Format a UTC timestamp for DTSTAMP
+     * @param {Date} date
+     * @returns {string} - 'YYYYMMDDTHHMMSSZ'
+     */
+    function formatTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Format minutes after midnight as 'HHMMSS'
+     * @param {number} minutes
+     * @returns {string}
+     */
+    function formatClock(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        return `${String(hours).padStart(2, '0')}${String(mins).padStart(2, '0')}00`;
+    }
+
+    /**
+     * Build the VEVENT lines for one activity
+     * @param {Object} activity - Activity
+     * @param {Object} day - Day it belongs to
+     * @param {Object} options - { tripId, startDate, stamp }
+     * @returns {string[]}
+     */
+    function buildEvent(activity, day, options) {
+        const date = formatDate(options.startDate, day.number - 1);
+        const times = ScheduleModule.getTimes(activity); // null for all-day events
+        const lines = [
+            'BEGIN:VEVENT',
+            // Keyed by activity alone so moving it to another day updates the same event
+            `UID:${activity.id}@${options.tripId}.itinerary`,
+            `DTSTAMP:${options.stamp}`
+        ];
+
+        if (times) {
+            // Activities running past midnight end on the next day
+            const endDate = times.end >= 24 * 60 ? formatDate(options.startDate, day.number) : date;
+            lines.push(`DTSTART;TZID=${config.timeZone}:${date}T${formatClock(times.start)}`);
+            lines.push(`DTEND;TZID=${config.timeZone}:${endDate}T${formatClock(times.end % (24 * 60))}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${date}`);
+            lines.push(`DTEND;VALUE=DATE:${formatDate(options.startDate, day.number)}`);
+        }
+
+        lines.push(`SUMMARY:${escapeText(`${activity.emoji} ${activity.name}`)}`);
+        if (activity.address) lines.push(`LOCATION:${escapeText(activity.address)}`);
+        const url = activity.website && formatUrl(activity.website);
+        if (url) lines.push(`URL:${url}`);
+
+        const description = [activity.tips, activity.hours && `Hours: ${activity.hours}`]
+            .filter(Boolean)
+            .join('\n');
+        if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Build an .ics calendar for a trip or a subset of its days.
+     * Alternative (swap-in) activities are left out.
+     * @param {Object} trip - Trip metadata (id, name)
+     * @param {Object[]} days - Days to include
+     * @param {string} startDate - Date of day 1, 'YYYY-MM-DD'
+     * @returns {string}
+     */
+    function buildCalendar(trip, days, startDate) {
+        const options = {
+            tripId: trip.id,
+            startDate,
+            stamp: formatTimestamp(new Date())
+        };
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${config.prodId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(trip.name)}`,
+            `X-WR-TIMEZONE:${config.timeZone}`,
+            'BEGIN:VTIMEZONE',
+            `TZID:${config.timeZone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0900',
+            'TZOFFSETTO:+0900',
+            'TZNAME:JST',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+
+        days.forEach(day => {
+            day.activities
+                .filter(activity => !activity.isAlternative)
+                .forEach(activity => lines.push(...buildEvent(activity, day, options)));
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build a download file name
+     * @param {Object} trip - Trip metadata
+     * @param {Object} day - Day, when exporting a single day
+     * @returns {string}
+     */
+    function getFileName(trip, day = null) {
+        return day ? `${trip.id}-day${day.number}.ics` : `${trip.id}.ics`;
+    }
+
+    // Public API
+    return {
+        buildCalendar,
+        getFileName
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarModule;
+}
@@ -0,0 +1,267 @@
+/**
+ * Collab Module
+ * Keeps every open copy of a trip live. Other tabs on this device save to
+ * the same localStorage, so their changes arrive as storage events and
+ * are re-read straight away. Presence (who else is looking at the trip)
+ * goes to other tabs over a BroadcastChannel and, when the trip is synced,
+ * to other devices through the sync server's relay.
+ */
+
+const CollabModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        viewerKey: 'collabViewer',
+        heartbeatMs: 15000,
+        // Forget a peer not heard from for a little over two heartbeats
+        expireMs: 40000,
+        relayRetryMs: 2000,
+        relayMaxRetryMs: 60000,
+        // Trip data this module re-reads when another tab saves it
+        kinds: {
+            itinerary: () => ItineraryModule.reload(),
+            suggestions: () => SuggestionsModule.reload(),
+            expenses: () => ExpensesModule.reload(),
+            travellers: () => TravellersModule.reload(),
+            sync: () => SyncModule.reload()
+        }
+    };
+
+    // Private state
+    const tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const peers = new Map();
+    let callbacks = {};
+    let channel = null;
+    let relay = null;
+    let relayUrl = '';
+    let relayRetryMs = config.relayRetryMs;
+    let relayTimer = null;
+    let heartbeat = null;
+
+    /**
+     * Which kind of trip data a localStorage key holds, if any
+     * @param {string} key - localStorage key
+     * @returns {string|null}
+     */
+    function kindOf(key) {
+        return Object.keys(config.kinds).find(kind => TripsModule.storageKey(kind) === key) || null;
+    }
+
+    /**
+     * Re-read data another tab saved and tell the page what changed
+     * @param {StorageEvent} event - Storage event
+     */
+    function handleStorage(event) {
+        // The viewer is shared by every tab on this device
+        if (event.key === config.viewerKey) {
+            announce('here');
+            notifyPresence();
+            return;
+        }
+
+        const kind = event.key && kindOf(event.key);
+        if (!kind) return;
+
+        config.kinds[kind]();
+        if (kind === 'sync') refreshRelay();
+        else if (callbacks.onChange) callbacks.onChange(kind);
+    }
+
+    /**
+     * The traveller this device is viewing as
+     * @returns {string} - Traveller name, or '' when not chosen
+     */
+    function getViewer() {
+        const name = localStorage.getItem(config.viewerKey) || '';
+        return TravellersModule.getTraveller(name) ? name : '';
+    }
+
+    /**
+     * Choose who this device is viewing as and tell everyone
+     * @param {string} name - Traveller name, or '' for nobody in particular
+     */
+    function setViewer(name) {
+        if (name) localStorage.setItem(config.viewerKey, name);
+        else localStorage.removeItem(config.viewerKey);
+        announce('here');
+    }
+
+    /**
+     * Send a message to other tabs and, if connected, other devices
+     * @param {Object} message - Message
+     */
+    function send(message) {
+        if (channel) channel.postMessage(message);
+        if (relay && relay.readyState === WebSocket.OPEN) relay.send(JSON.stringify(message));
+    }
+
+    /**
+     * Say this tab is here, or leaving
+     * @param {string} state - 'here' or 'bye'
+     */
+    function announce(state) {
+        send({ type: 'presence', tabId, who: getViewer(), state });
+    }
+
+    /**
+     * Tell the page who is here
+     */
+    function notifyPresence() {
+        if (callbacks.onPresence) callbacks.onPresence(getPeers());
+    }
+
+    /**
+     * Update the peer list from a presence message
+     * @param {Object} message - { type, tabId, who, state }
+     * @param {boolean} remote - Whether it came from another device
+     */
+    function handleMessage(message, remote) {
+        if (!message || message.type !== 'presence' || !message.tabId || message.tabId === tabId) return;
+
+        if (message.state === 'bye') {
+            if (peers.delete(message.tabId)) notifyPresence();
+            return;
+        }
+
+        const known = peers.get(message.tabId);
+        peers.set(message.tabId, {
+            who: typeof message.who === 'string' ? message.who : '',
+            // A tab heard over the channel is on this device, even if the relay echoes it too
+            remote: known ? known.remote && remote : remote,
+            lastSeen: Date.now()
+        });
+        // Newcomers don't know about us yet
+        if (!known) announce('here');
+        if (!known || known.who !== message.who) notifyPresence();
+    }
+
+    /**
+     * Forget peers that stopped sending heartbeats
+     */
+    function expirePeers() {
+        const cutoff = Date.now() - config.expireMs;
+        let changed = false;
+        peers.forEach((peer, id) => {
+            if (peer.lastSeen < cutoff) {
+                peers.delete(id);
+                changed = true;
+            }
+        });
+        if (changed) notifyPresence();
+    }
+
+    /**
+     * Relay address for the synced trip
+     * @returns {string} - WebSocket URL, or '' when the trip isn't synced
+     */
+    function getRelayUrl() {
+        const settings = SyncModule.getSettings();
+        if (!settings.server || !settings.trip) return '';
+
+        const token = settings.token ? `?token=${encodeURIComponent(settings.token)}` : '';
+        return `${settings.server.replace(/^http/, 'ws')}/trips/${encodeURIComponent(settings.trip)}/relay${token}`;
+    }
+
+    /**
+     * Open the relay, reconnecting with a growing delay when it drops
+     */
+    function openRelay() {
+        clearTimeout(relayTimer);
+        if (!relayUrl || typeof WebSocket === 'undefined') return;
+
+        const socket = new WebSocket(relayUrl);
+        relay = socket;
+        socket.addEventListener('open', () => {
+            relayRetryMs = config.relayRetryMs;
+            announce('here');
+        });
+        socket.addEventListener('message', event => {
+            try {
+                handleMessage(JSON.parse(event.data), true);
+            } catch (error) {
+                console.warn('[Collab] Ignored relay message:', error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (relay !== socket) return;
+            relay = null;
+            relayTimer = setTimeout(openRelay, relayRetryMs);
+            relayRetryMs = Math.min(relayRetryMs * 2, config.relayMaxRetryMs);
+        });
+    }
+
+    /**
+     * Connect to, switch or drop the relay to match the sync settings.
+     * Call after connecting or disconnecting sync.
+     */
+    function refreshRelay() {
+        const url = getRelayUrl();
+        if (url === relayUrl && (relay || relayTimer)) return;
+
+        relayUrl = url;
+        relayRetryMs = config.relayRetryMs;
+        clearTimeout(relayTimer);
+        relayTimer = null;
+        if (relay) {
+            const socket = relay;
+            relay = null;
+            socket.close();
+        }
+        // Peers from other devices can't be heard any more
+        peers.forEach((peer, id) => {
+            if (peer.remote) peers.delete(id);
+        });
+        notifyPresence();
+        openRelay();
+    }
+
+    /**
+     * Everyone else viewing this trip
+     * @returns {{tabId: string, who: string, remote: boolean}[]} - remote is
+     *          true for other devices, false for other tabs on this one
+     */
+    function getPeers() {
+        return [...peers.entries()].map(([id, peer]) => ({ tabId: id, who: peer.who, remote: peer.remote }));
+    }
+
+    /**
+     * Start listening to other tabs and devices
+     * @param {Object} options - { onChange(kind), onPresence(peers) }
+     */
+    function init(options = {}) {
+        callbacks = options;
+        window.addEventListener('storage', handleStorage);
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            channel = new BroadcastChannel(`trip:${TripsModule.getActiveTrip().id}`);
+            channel.addEventListener('message', event => handleMessage(event.data, false));
+        }
+        refreshRelay();
+
+        announce('here');
+        heartbeat = setInterval(() => {
+            announce('here');
+            expirePeers();
+        }, config.heartbeatMs);
+        window.addEventListener('pagehide', () => {
+            clearInterval(heartbeat);
+            announce('bye');
+        });
+    }
+
+    // Public API
+    return {
+        init,
+        refreshRelay,
+        getViewer,
+        setViewer,
+        getPeers
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollabModule;
+}
@@ -0,0 +1,285 @@
+/**
+ * Currency Module
+ * Home currency and yen exchange rates, stored per device so each
+ * traveller sees prices in their own money. Rates are typed in by hand or
+ * imported from a rates file and cached offline.
+ */
+
+const CurrencyModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        storageKey: 'currencySettings',
+        defaultHome: 'AUD',
+        staleAfterDays: 7,
+        // defaultRate is yen per 1 unit, a rough estimate until a rate is entered
+        currencies: {
+            AUD: { symbol: '$', name: 'Australian Dollar', defaultRate: 100 },
+            USD: { symbol: '$', name: 'US Dollar', defaultRate: 150 },
+            GBP: { symbol: '£', name: 'British Pound', defaultRate: 195 },
+            EUR: { symbol: '€', name: 'Euro', defaultRate: 165 },
+            NZD: { symbol: '$', name: 'New Zealand Dollar', defaultRate: 90 },
+            CAD: { symbol: '$', name: 'Canadian Dollar', defaultRate: 110 }
+        }
+    };
+
+    // Private state
+    let settings = load();
+
+    /**
+     * Load settings from localStorage
+     * @returns {{home: string, display: string, rates: Object}}
+     */
+    function load() {
+        const fresh = { home: config.defaultHome, display: 'jpy', rates: {} };
+        try {
+            const stored = JSON.parse(localStorage.getItem(config.storageKey));
+            if (stored && stored.home) {
+                return { ...fresh, ...stored, rates: stored.rates || {} };
+            }
+        } catch (error) {
+            console.warn('[Currency] Failed to load settings:', error);
+        }
+        return fresh;
+    }
+
+    /**
+     * Persist settings
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.storageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.error('[Currency] Failed to save settings:', error);
+        }
+    }
+
+    /**
+     * Get the supported home currencies: the built-in list plus any from a rates file
+     * @returns {Object[]} - See getCurrency()
+     */
+    function getCurrencies() {
+        const codes = new Set([...Object.keys(config.currencies), ...Object.keys(settings.rates)]);
+        return Array.from(codes).map(code => getCurrency(code));
+    }
+
+    /**
+     * Get a currency's details. Currencies that only came from a rates
+     * file are described with Intl.
+     * @param {string} code - Currency code (defaults to the home currency)
+     * @returns {{code: string, symbol: string, name: string, decimals: number}}
+     */
+    function getCurrency(code = settings.home) {
+        const known = config.currencies[code];
+        if (known) return { code, symbol: known.symbol, name: known.name, decimals: 2 };
+
+        try {
+            const format = new Intl.NumberFormat('en', { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' });
+            const symbol = format.formatToParts(0).find(part => part.type === 'currency').value;
+            const name = new Intl.DisplayNames(['en'], { type: 'currency' }).of(code);
+            return { code, symbol, name, decimals: format.resolvedOptions().maximumFractionDigits };
+        } catch (error) {
+            return { code, symbol: `${code} `, name: code, decimals: 2 };
+        }
+    }
+
+    /**
+     * Check whether a currency can be used (built in, or has a rate)
+     * @param {string} code - Currency code
+     * @returns {boolean}
+     */
+    function isSupported(code) {
+        return Boolean(config.currencies[code] || settings.rates[code]);
+    }
+
+    /**
+     * Get the home currency code
+     * @returns {string}
+     */
+    function getHome() {
+        return settings.home;
+    }
+
+    /**
+     * Set the home currency
+     * @param {string} code - Currency code
+     * @returns {boolean} - Success status
+     */
+    function setHome(code) {
+        if (!isSupported(code)) return false;
+        settings.home = code;
+        save();
+        return true;
+    }
+
+    /**
+     * Get how prices are shown: 'jpy' or 'home'
+     * @returns {string}
+     */
+    function getDisplay() {
+        return settings.display;
+    }
+
+    /**
+     * Set how prices are shown
+     * @param {string} display - 'jpy' or 'home'
+     */
+    function setDisplay(display) {
+        settings.display = display === 'home' ? 'home' : 'jpy';
+        save();
+    }
+
+    /**
+     * Get the exchange rate for a currency
+     * @param {string} code - Currency code (defaults to the home currency)
+     * @returns {{rate: number, setAt: string|null, source: string|null}} - Yen per
+     *          1 unit; setAt is 'YYYY-MM-DD' and source is the rates file name
+     *          (null when typed in). Both are null while the built-in estimate is used.
+     */
+    function getRate(code = settings.home) {
+        const stored = settings.rates[code];
+        if (stored && stored.rate > 0) {
+            return { rate: stored.rate, setAt: stored.setAt, source: stored.source || null };
+        }
+        const known = config.currencies[code];
+        return { rate: known ? known.defaultRate : 1, setAt: null, source: null };
+    }
+
+    /**
+     * How old a currency's rate is
+     * @param {string} code - Currency code (defaults to the home currency)
+     * @returns {{days: number, stale: boolean}|null} - null for the built-in estimate
+     */
+    function getRateAge(code = settings.home) {
+        const { setAt } = getRate(code);
+        if (!setAt) return null;
+
+        const today = new Date().toISOString().slice(0, 10);
+        const days = Math.max(0, Math.round((Date.parse(today) - Date.parse(setAt)) / 86400000));
+        return { days, stale: days > config.staleAfterDays };
+    }
+
+    /**
+     * Record an exchange rate, dated today
+     * @param {string} code - Currency code
+     * @param {number} rate - Yen per 1 unit
+     * @returns {boolean} - Success status
+     */
+    function setRate(code, rate) {
+        if (!isSupported(code) || !(rate > 0)) return false;
+        settings.rates[code] = { rate, setAt: new Date().toISOString().slice(0, 10), source: null };
+        save();
+        return true;
+    }
+
+    /**
+     * Parse a rates file. Rates are quoted against a base currency, e.g.
+     * { "base": "JPY", "date": "2026-10-01", "rates": { "AUD": 0.0102, "USD": 0.0067 } }
+     * or { "base": "AUD", "date": "...", "rates": { "JPY": 98.4, "USD": 0.66 } }.
+     * A Unix "timestamp" may be given instead of "date".
+     * @param {string} text - File contents
+     * @returns {{date: string, rates: Object}} - Yen per 1 unit, keyed by currency code
+     * @throws {Error} - When the file can't be used
+     */
+    function parseRatesFile(text) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Rates file is not valid JSON');
+        }
+
+        if (!payload || typeof payload.rates !== 'object' || !payload.rates) {
+            throw new Error('Rates file has no rates table');
+        }
+        const base = String(payload.base || '').toUpperCase();
+        if (!/^[A-Z]{3}$/.test(base)) {
+            throw new Error('Rates file needs a base currency');
+        }
+
+        const table = {};
+        Object.entries(payload.rates).forEach(([code, value]) => {
+            if (/^[A-Z]{3}$/.test(code) && Number(value) > 0) table[code] = Number(value);
+        });
+        table[base] = 1;
+
+        const yenPerBase = table.JPY;
+        if (!yenPerBase) {
+            throw new Error('Rates file has no JPY rate');
+        }
+
+        const rates = {};
+        Object.entries(table).forEach(([code, perBase]) => {
+            if (code !== 'JPY') rates[code] = yenPerBase / perBase;
+        });
+
+        let date = new Date().toISOString().slice(0, 10);
+        if (typeof payload.date === 'string' && !isNaN(Date.parse(payload.date))) {
+            date = new Date(payload.date).toISOString().slice(0, 10);
+        } else if (Number(payload.timestamp) > 0) {
+            date = new Date(Number(payload.timestamp) * 1000).toISOString().slice(0, 10);
+        }
+
+        return { date, rates };
+    }
+
+    /**
+     * Import a rates file, replacing the rate for every currency it lists
+     * @param {string} text - File contents
+     * @param {string} fileName - Shown as the rate's source
+     * @returns {{date: string, count: number}}
+     * @throws {Error} - When the file can't be used
+     */
+    function importRates(text, fileName) {
+        const { date, rates } = parseRatesFile(text);
+        Object.entries(rates).forEach(([code, rate]) => {
+            settings.rates[code] = { rate, setAt: date, source: fileName };
+        });
+        save();
+        console.log(`[Currency] Imported ${Object.keys(rates).length} rates from ${fileName} (${date})`);
+        return { date, count: Object.keys(rates).length };
+    }
+
+    /**
+     * Convert yen to a home-currency amount
+     * @param {number} jpy - Amount in yen
+     * @param {string} code - Currency code (defaults to the home currency)
+     * @returns {number}
+     */
+    function fromJpy(jpy, code = settings.home) {
+        return jpy / getRate(code).rate;
+    }
+
+    /**
+     * Convert a home-currency amount to whole yen
+     * @param {number} amount - Amount in the home currency
+     * @param {string} code - Currency code (defaults to the home currency)
+     * @returns {number}
+     */
+    function toJpy(amount, code = settings.home) {
+        return Math.round(amount * getRate(code).rate);
+    }
+
+    // Public API
+    return {
+        getCurrencies,
+        getCurrency,
+        getHome,
+        setHome,
+        getDisplay,
+        setDisplay,
+        getRate,
+        getRateAge,
+        setRate,
+        importRates,
+        fromJpy,
+        toJpy
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyModule;
+}
@@ -0,0 +1,340 @@
+/**
+ * Expenses Module
+ * Records what the trip actually cost, per trip, so the budget card can
+ * compare real spend with the estimates, and works out who owes whom
+ */
+
+const ExpensesModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        storageKey: TripsModule.storageKey('expenses'),
+        categories: [
+            { label: 'Transport', emoji: '🚕' },
+            { label: 'Attractions', emoji: '🎟️' },
+            { label: 'Food', emoji: '🍜' },
+            { label: 'Shopping', emoji: '🛍️' },
+            { label: 'Other', emoji: '💴' }
+        ]
+    };
+
+    // Private state
+    let expenses = load();
+
+    /**
+     * Load expenses from localStorage
+     * @returns {Object[]}
+     */
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(config.storageKey));
+            // Expenses logged before splits existed have none
+            return Array.isArray(stored) ? stored.map(expense => ({ ...expense, split: normalizeSplit(expense.split) })) : [];
+        } catch (error) {
+            console.warn('[Expenses] Failed to load expenses:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist expenses
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.storageKey, JSON.stringify(expenses));
+            TripsModule.announceSave(config.storageKey);
+        } catch (error) {
+            console.error('[Expenses] Failed to save expenses:', error);
+        }
+    }
+
+    /**
+     * Re-read expenses, e.g. after another tab saved them
+     */
+    function reload() {
+        expenses = load();
+    }
+
+    /**
+     * Create a unique expense id
+     * @returns {string}
+     */
+    function createExpenseId() {
+        return `exp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Convert an amount to yen. Yen values are fixed when an expense is
+     * saved so later rate changes don't rewrite history.
+     * @param {number} amount - Amount paid
+     * @param {string} currency - 'JPY' or a home currency code
+     * @returns {number}
+     */
+    function toJpy(amount, currency) {
+        return currency === 'JPY' ? Math.round(amount) : CurrencyModule.toJpy(amount, currency);
+    }
+
+    /**
+     * Tidy how an expense is split. Splits are
+     *     { mode: 'equal', people } (evenly between the travellers at the time),
+     *     { mode: 'shares', shares: { name: weight } } or
+     *     { mode: 'one', person } (fully to one person)
+     * Equal splits saved before people were kept have none and fall back
+     * to everyone travelling now.
+     * @param {Object} split - Split as entered
+     * @returns {Object}
+     */
+    function normalizeSplit(split) {
+        if (split && split.mode === 'one' && split.person) {
+            return { mode: 'one', person: split.person };
+        }
+        if (split && split.mode === 'shares' && split.shares) {
+            const shares = {};
+            Object.entries(split.shares).forEach(([name, weight]) => {
+                if (Number(weight) > 0) shares[name] = Number(weight);
+            });
+            if (Object.keys(shares).length > 0) return { mode: 'shares', shares };
+        }
+        const people = split && Array.isArray(split.people)
+            ? [...new Set(split.people.filter(name => typeof name === 'string' && name))]
+            : [];
+        return people.length > 0 ? { mode: 'equal', people } : { mode: 'equal' };
+    }
+
+    /**
+     * Get the expense categories
+     * @returns {{label: string, emoji: string}[]}
+     */
+    function getCategories() {
+        return config.categories.map(category => ({ ...category }));
+    }
+
+    /**
+     * Check a category label
+     * @param {string} label - Category label
+     * @returns {boolean}
+     */
+    function isCategory(label) {
+        return config.categories.some(category => category.label === label);
+    }
+
+    /**
+     * Get all expenses, newest first
+     * @returns {Object[]}
+     */
+    function getExpenses() {
+        return expenses.slice().sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Get an expense by id
+     * @param {string} expenseId - Expense id
+     * @returns {Object|null}
+     */
+    function getExpense(expenseId) {
+        return expenses.find(expense => expense.id === expenseId) || null;
+    }
+
+    /**
+     * Record an expense
+     * @param {Object} fields - { amount, currency, category, payer, split, activityId, dayId, note, date };
+     *        date is 'YYYY-MM-DD' and defaults to today in Japan
+     * @returns {Object|null} - The created expense, or null when the amount is invalid
+     */
+    function addExpense(fields) {
+        const amount = Number(fields.amount);
+        if (!(amount > 0)) return null;
+
+        const currency = fields.currency || 'JPY';
+        const now = Date.now();
+        const expense = {
+            id: createExpenseId(),
+            amount,
+            currency,
+            jpy: toJpy(amount, currency),
+            category: isCategory(fields.category) ? fields.category : 'Other',
+            payer: fields.payer || '',
+            split: normalizeSplit(fields.split),
+            activityId: fields.activityId || null,
+            dayId: fields.dayId || null,
+            note: fields.note || '',
+            date: fields.date || LiveModule.getToday(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        expenses.push(expense);
+        save();
+        return expense;
+    }
+
+    /**
+     * Update an expense
+     * @param {string} expenseId - Expense id
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Object|null} - The updated expense
+     */
+    function updateExpense(expenseId, changes) {
+        const expense = getExpense(expenseId);
+        if (!expense) return null;
+        if ('amount' in changes && !(Number(changes.amount) > 0)) return null;
+        if ('category' in changes && !isCategory(changes.category)) {
+            changes = { ...changes, category: 'Other' };
+        }
+
+        const repriced = ('amount' in changes && Number(changes.amount) !== expense.amount) ||
+            ('currency' in changes && changes.currency !== expense.currency);
+
+        Object.assign(expense, changes, { id: expenseId, updatedAt: Date.now() });
+        expense.amount = Number(expense.amount);
+        expense.split = normalizeSplit(expense.split);
+        if (repriced) {
+            expense.jpy = toJpy(expense.amount, expense.currency);
+        }
+        save();
+        return expense;
+    }
+
+    /**
+     * Delete an expense
+     * @param {string} expenseId - Expense id
+     * @returns {boolean} - Success status
+     */
+    function removeExpense(expenseId) {
+        const index = expenses.findIndex(expense => expense.id === expenseId);
+        if (index === -1) return false;
+
+        expenses.splice(index, 1);
+        save();
+        return true;
+    }
+
+    /**
+     * Replace every expense, e.g. with the merged list from a sync
+     * @param {Object[]} list - Expenses
+     */
+    function replaceAll(list) {
+        expenses = list.map(expense => ({ ...expense, split: normalizeSplit(expense.split) }));
+        save();
+    }
+
+    /**
+     * Get the day an expense belongs to. Expenses tied to an activity
+     * follow it when the activity moves to another day.
+     * @param {Object} expense - Expense
+     * @returns {string|null} - Day id
+     */
+    function getExpenseDayId(expense) {
+        const found = expense.activityId ? ItineraryModule.findActivity(expense.activityId) : null;
+        return found ? found.day.id : expense.dayId;
+    }
+
+    /**
+     * Total spend overall, per category and per day
+     * @returns {{total: number, byCategory: Object, byDay: Object}} - Yen; byDay
+     *          uses '' for expenses not tied to a day
+     */
+    function summarize() {
+        const summary = { total: 0, byCategory: {}, byDay: {} };
+        expenses.forEach(expense => {
+            const dayId = getExpenseDayId(expense) || '';
+            summary.total += expense.jpy;
+            summary.byCategory[expense.category] = (summary.byCategory[expense.category] || 0) + expense.jpy;
+            summary.byDay[dayId] = (summary.byDay[dayId] || 0) + expense.jpy;
+        });
+        return summary;
+    }
+
+    /**
+     * Work out each traveller's share of an expense in whole yen
+     * @param {Object} expense - Expense
+     * @param {string[]} travellers - Names an older equal split without its
+     *        own people is shared between
+     * @returns {Object} - Yen keyed by name
+     */
+    function getShares(expense, travellers) {
+        const split = normalizeSplit(expense.split);
+        let weights;
+        if (split.mode === 'one') {
+            weights = { [split.person]: 1 };
+        } else if (split.mode === 'shares') {
+            weights = split.shares;
+        } else {
+            weights = Object.fromEntries((split.people || travellers).map(name => [name, 1]));
+        }
+
+        const names = Object.keys(weights);
+        if (names.length === 0) return {};
+        const totalWeight = names.reduce((sum, name) => sum + weights[name], 0);
+        const shares = {};
+        let assigned = 0;
+        names.forEach(name => {
+            shares[name] = Math.floor(expense.jpy * weights[name] / totalWeight);
+            assigned += shares[name];
+        });
+
+        // Hand out the leftover yen one at a time so the shares add up
+        for (let i = 0; assigned < expense.jpy; i = (i + 1) % names.length) {
+            shares[names[i]]++;
+            assigned++;
+        }
+        return shares;
+    }
+
+    /**
+     * Work out who owes whom. Expenses without a payer are left out.
+     * @param {string[]} travellers - Traveller names
+     * @returns {{balances: Object, transfers: {from: string, to: string, jpy: number}[]}} -
+     *          balances are yen paid minus yen owed, keyed by name
+     */
+    function settleUp(travellers) {
+        const balances = Object.fromEntries(travellers.map(name => [name, 0]));
+        expenses.filter(expense => expense.payer).forEach(expense => {
+            balances[expense.payer] = (balances[expense.payer] || 0) + expense.jpy;
+            Object.entries(getShares(expense, travellers)).forEach(([name, jpy]) => {
+                balances[name] = (balances[name] || 0) - jpy;
+            });
+        });
+
+        // Pair the biggest debts with the biggest credits until everyone is square
+        const owing = Object.entries(balances).filter(([, jpy]) => jpy < 0).map(([name, jpy]) => ({ name, jpy: -jpy }));
+        const owed = Object.entries(balances).filter(([, jpy]) => jpy > 0).map(([name, jpy]) => ({ name, jpy }));
+        owing.sort((a, b) => b.jpy - a.jpy);
+        owed.sort((a, b) => b.jpy - a.jpy);
+
+        const transfers = [];
+        while (owing.length > 0 && owed.length > 0) {
+            const jpy = Math.min(owing[0].jpy, owed[0].jpy);
+            transfers.push({ from: owing[0].name, to: owed[0].name, jpy });
+            owing[0].jpy -= jpy;
+            owed[0].jpy -= jpy;
+            if (owing[0].jpy === 0) owing.shift();
+            if (owed[0].jpy === 0) owed.shift();
+        }
+
+        return { balances, transfers };
+    }
+
+    // Public API
+    return {
+        getCategories,
+        reload,
+        getExpenses,
+        getExpense,
+        addExpense,
+        updateExpense,
+        removeExpense,
+        replaceAll,
+        getExpenseDayId,
+        summarize,
+        getShares,
+        settleUp
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExpensesModule;
+}
@@ -0,0 +1,218 @@
+/**
+ * Hours Module
+ * Parses free-text opening hours ("9:30 AM - 6:00 PM (closed Sundays)")
+ * into weekly hours, closed dates and flags, and checks planned visits
+ * against them
+ */
+
+const HoursModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        // Rough daylight hours used for "Sunrise to Sunset"
+        sunrise: 6 * 60,
+        sunset: 17 * 60,
+        months: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+    };
+
+    // Short and full day names: 'wed', 'weds', 'wed.', 'wednesday', 'wednesdays'
+    const DAY_PATTERN = '(sun|mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?)(?:day|days|s|\\.)?';
+    const DAY_PREFIXES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const MONTH_PATTERN = `(${config.months.join('|')})[a-z]*\\.?\\s+(\\d{1,2})`;
+
+    /**
+     * Convert a day word to a weekday number (0 = Sunday)
+     * @param {string} word - e.g. 'tues'
+     * @returns {number}
+     */
+    function dayIndex(word) {
+        return DAY_PREFIXES.indexOf(word.slice(0, 3));
+    }
+
+    /**
+     * Find the weekdays mentioned in some text
+     * @param {string} text - Lower-case text, e.g. 'mon-fri' or 'sat & sun'
+     * @returns {number[]} - Weekday numbers
+     */
+    function parseDays(text) {
+        const days = new Set();
+
+        if (/\bweekdays\b/.test(text)) [1, 2, 3, 4, 5].forEach(d => days.add(d));
+        if (/\bweekends?\b/.test(text)) [0, 6].forEach(d => days.add(d));
+
+        const rangePattern = new RegExp(`\\b${DAY_PATTERN}\\s*(?:-|–|to)\\s*${DAY_PATTERN}\\b`, 'g');
+        const remaining = text.replace(rangePattern, (match, from, to) => {
+            const start = dayIndex(from);
+            const end = dayIndex(to);
+            for (let d = start; ; d = (d + 1) % 7) {
+                days.add(d);
+                if (d === end) break;
+            }
+            return ' ';
+        });
+
+        const singlePattern = new RegExp(`\\b${DAY_PATTERN}\\b`, 'g');
+        let match;
+        while ((match = singlePattern.exec(remaining))) {
+            days.add(dayIndex(match[1]));
+        }
+
+        return Array.from(days);
+    }
+
+    /**
+     * Find month/day dates and ranges, e.g. 'dec 29 - jan 3'
+     * @param {string} text - Lower-case text
+     * @returns {{from: string, to: string}[]} - 'MM-DD' pairs
+     */
+    function parseDates(text) {
+        const pattern = new RegExp(`\\b${MONTH_PATTERN}(?:\\s*(?:-|–|to)\\s*(?:(${config.months.join('|')})[a-z]*\\.?\\s+)?(\\d{1,2}))?`, 'g');
+        const toKey = (month, day) =>
+            `${String(config.months.indexOf(month) + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+        const dates = [];
+        let match;
+        while ((match = pattern.exec(text))) {
+            const from = toKey(match[1], match[2]);
+            const to = match[4] ? toKey(match[3] || match[1], match[4]) : from;
+            dates.push({ from, to });
+        }
+        return dates;
+    }
+
+    /**
+     * Find a time range, e.g. '9:30 am - 6:00 pm' or '10:00-22:00'
+     * @param {string} text - Lower-case text
+     * @returns {{open: number, close: number, index: number}|null} - Minutes after midnight
+     */
+    function parseRange(text) {
+        const match = /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*(?:-|–|~|to)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/.exec(text);
+        if (!match) return null;
+
+        const [, h1, m1, s1, h2, m2, s2] = match;
+        // Without am/pm, only accept 24-hour times with minutes on both ends
+        if (!s1 && !s2 && !(m1 && m2)) return null;
+
+        const toMinutes = (hours, minutes, suffix) => {
+            let h = parseInt(hours);
+            if (suffix) h = (h % 12) + (suffix === 'pm' ? 12 : 0);
+            return h * 60 + parseInt(minutes || 0);
+        };
+
+        const open = toMinutes(h1, m1, s1 || s2);
+        let close = toMinutes(h2, m2, s2 || s1);
+        if (close <= open) close += 24 * 60; // past midnight
+
+        return { open, close, index: match.index };
+    }
+
+    /**
+     * Parse an opening-hours string
+     * @param {string} text - e.g. '9:30 AM - 6:00 PM (closed Sundays)',
+     *        '10:00 AM - 5:00 PM (closed Wednesdays)' or
+     *        'Tuesday–Saturday 11:00 AM - 8:00 PM'
+     * @returns {Object} - {
+     *     weekly: Array(7) of null (unknown), [] (closed) or [{open, close}],
+     *     closedDates: [{from, to}] as 'MM-DD',
+     *     reservationOnly: boolean,
+     *     approximate: boolean
+     * }
+     */
+    function parse(text) {
+        const hours = {
+            weekly: new Array(7).fill(null),
+            closedDates: [],
+            reservationOnly: false,
+            approximate: false
+        };
+        if (!text) return hours;
+
+        const lower = text.toLowerCase();
+        hours.reservationOnly = /reservation|appointment|booking/.test(lower);
+        hours.approximate = /typically|usually|varies|most|approx|around|sunrise|sunset/.test(lower);
+
+        const closedDays = [];
+        const open = lower.replace(/closed\s+(?:on\s+)?([^();]+)/g, (match, clause) => {
+            closedDays.push(...parseDays(clause));
+            hours.closedDates.push(...parseDates(clause));
+            return ' ';
+        });
+
+        const addRange = (days, range) => {
+            days.forEach(d => {
+                hours.weekly[d] = (hours.weekly[d] || []).concat({ open: range.open, close: range.close });
+            });
+        };
+        const everyDay = [0, 1, 2, 3, 4, 5, 6];
+
+        if (/sunrise/.test(open) && /sunset/.test(open)) {
+            addRange(everyDay, { open: config.sunrise, close: config.sunset });
+        } else {
+            open.split(/[,;]/).forEach(segment => {
+                const range = parseRange(segment);
+                if (!range) return;
+                const days = parseDays(segment.slice(0, range.index));
+                addRange(days.length > 0 ? days : everyDay, range);
+            });
+        }
+
+        closedDays.forEach(d => { hours.weekly[d] = []; });
+        return hours;
+    }
+
+    /**
+     * Check a planned visit against parsed hours
+     * @param {Object} hours - Result of parse()
+     * @param {Object} visit - { weekday (0-6|null), date ('MM-DD'|null), start, end }, times in
+     *                         minutes after midnight or null when unscheduled
+     * @returns {Object[]} - Problems: { type: 'closed-date' | 'closed-day' | 'opens' | 'closes' | 'reservation', time? }
+     */
+    function check(hours, visit) {
+        if (visit.date) {
+            const closed = hours.closedDates.some(range => range.from <= range.to
+                ? visit.date >= range.from && visit.date <= range.to
+                : visit.date >= range.from || visit.date <= range.to);
+            if (closed) return [{ type: 'closed-date' }];
+        }
+
+        let ranges = null;
+        if (visit.weekday !== null && visit.weekday !== undefined) {
+            ranges = hours.weekly[visit.weekday];
+            if (ranges && ranges.length === 0) return [{ type: 'closed-day' }];
+        } else {
+            // No date yet: only check hours that are the same every day
+            const first = JSON.stringify(hours.weekly[0]);
+            if (hours.weekly.every(day => day && day.length && JSON.stringify(day) === first)) {
+                ranges = hours.weekly[0];
+            }
+        }
+
+        const problems = [];
+        if (ranges && ranges.length && visit.start !== null) {
+            const fits = ranges.some(r => visit.start >= r.open && visit.end <= r.close);
+            if (!fits) {
+                const range = ranges.find(r => visit.start < r.close) || ranges[ranges.length - 1];
+                problems.push(visit.start < range.open
+                    ? { type: 'opens', time: range.open }
+                    : { type: 'closes', time: range.close });
+            }
+        }
+        if (hours.reservationOnly) {
+            problems.push({ type: 'reservation' });
+        }
+        return problems;
+    }
+
+    // Public API
+    return {
+        parse,
+        check
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HoursModule;
+}
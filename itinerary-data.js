@@ -0,0 +1,764 @@
+/**
+ * Itinerary Data
+ * The single source of truth for the trip plan: days, time slots,
+ * activities, prices, addresses and budget estimates.
+ * Kept JSON-compatible so it can be stored, exported and edited as data.
+ */
+
+const DEFAULT_ITINERARY = {
+    version: 4,
+
+    // Time slots in the order they happen during a day
+    slots: ['Morning', 'Late Morning', 'Lunch', 'Afternoon', 'Evening', 'Optional', 'Full Day Alternative'],
+
+    // Activities are timed with start ('HH:MM', local time), duration and
+    // travel (minutes from the previous stop); see ScheduleModule.
+    // Prices carry a unit ('person', 'adult' or 'group') and a budget
+    // category (defaults to 'Attractions'); see BudgetModule. Optional
+    // age bands give child prices; children outside every band pay the
+    // main price ('person') or an unknown one ('adult').
+
+    days: [
+        {
+            id: 'day1',
+            number: 1,
+            tab: 'Asakusa',
+            title: 'Asakusa & Traditions',
+            summary: 'Temple visits, pottery art, and cute animal cafe',
+            activities: [
+                {
+                    id: 'sensoji',
+                    slot: 'Morning',
+                    start: '09:00',
+                    duration: 120,
+                    travel: 5,
+                    name: 'Senso-ji Temple & Nakamise Street',
+                    title: 'Senso-ji Temple',
+                    emoji: '⛩️',
+                    badge: { label: 'Must Do', type: 'must-do' },
+                    description: "Tokyo's oldest temple. Walk Nakamise Street for snacks and souvenirs. Go early!",
+                    address: '2-3-1 Asakusa, Taito City, Tokyo',
+                    distance: '5 min walk',
+                    price: null,
+                    tags: [{ text: 'Free' }],
+                    link: null,
+                    website: 'https://www.senso-ji.jp/english/',
+                    websiteName: 'Senso-ji Official Website',
+                    hours: 'Temple: 6:00 AM - 5:00 PM',
+                    tips: 'Go before 8 AM for empty photos. Free entry.',
+                    alternatives: ['meiji', 'nezu-shrine']
+                },
+                {
+                    id: 'kimono',
+                    slot: 'Optional',
+                    displayTime: 'Optional',
+                    duration: 120,
+                    name: 'Kimono Rental Experience',
+                    title: 'Kimono Rental',
+                    emoji: '👘',
+                    badge: { label: 'Family Fun', type: 'family' },
+                    description: 'Dress up in traditional kimono for perfect family photos at the temple.',
+                    address: 'Various locations in Asakusa',
+                    distance: null,
+                    price: { jpy: 5000, jpyEnd: 8000, unit: 'person' },
+                    tags: [],
+                    link: { href: 'https://www.klook.com', label: 'Book on Klook' },
+                    website: 'https://www.klook.com/en-AU/activity/6925-kimono-rental-tokyo/',
+                    websiteName: 'Book Kimono on Klook',
+                    hours: 'Typically 9:00 AM - 6:00 PM',
+                    tips: 'Miyabi Asakusa is highly rated. Book 2-3 days ahead.',
+                    alternatives: ['tea-ceremony', 'calligraphy']
+                },
+                {
+                    id: 'mipig',
+                    slot: 'Afternoon',
+                    start: '13:30',
+                    duration: 60,
+                    travel: 15,
+                    name: 'Mipig Cafe Asakusa',
+                    title: 'Mipig Cafe',
+                    emoji: '🐷',
+                    badge: { label: 'Kid Fav', type: 'kid-fav' },
+                    description: 'Adorable micro pig cafe! Perfect for your 8-year-old. Book in advance.',
+                    address: 'Chateau Amour 2F, 3-1-1 Asakusa, Taito-ku',
+                    distance: '15 min walk',
+                    price: { jpy: 2200, jpyEnd: 3300, unit: 'group' },
+                    tags: [],
+                    link: { href: 'https://mipig.cafe', label: 'Book at mipig.cafe' },
+                    website: 'https://mipig.cafe/en/',
+                    websiteName: 'Mipig Cafe Official',
+                    hours: '9:00 AM - 7:00 PM daily',
+                    tips: 'Book online 1+ week ahead.',
+                    alternatives: ['owl-cafe', 'cat-cafe', 'hedgehog-cafe']
+                },
+                {
+                    id: 'kintsugi',
+                    slot: 'Afternoon',
+                    start: '15:00',
+                    duration: 120,
+                    travel: 10,
+                    name: 'Kintsugi Workshop',
+                    title: 'Kintsugi Workshop',
+                    emoji: '✨',
+                    badge: { label: "Wife's Pick", type: 'wife' },
+                    description: 'Learn Japanese art of repairing pottery with gold. Create a unique souvenir!',
+                    address: '1-1-2 Kaminarimon, Taito-ku',
+                    distance: '3 min from hotel',
+                    price: { jpy: 16500, unit: 'person' },
+                    tags: [],
+                    link: { href: 'https://kintsugi-kit.com/pages/kintsugi-workshops-in-tokyo', label: 'Book Workshop' },
+                    website: 'https://kintsugi-kit.com/pages/kintsugi-workshops-in-tokyo',
+                    websiteName: 'Tsugu Tsugu Kintsugi',
+                    hours: 'By reservation only',
+                    tips: 'Check English interpreter availability.',
+                    alternatives: ['pottery-class', 'origami-workshop']
+                },
+                {
+                    id: 'evening-walk',
+                    slot: 'Evening',
+                    start: '18:00',
+                    duration: 120,
+                    travel: 10,
+                    name: 'Evening Walk & Dinner',
+                    title: 'Evening Walk & Dinner',
+                    emoji: '🏮',
+                    badge: null,
+                    description: 'Senso-ji is beautiful at night. Try Tsukiji for fresh seafood dinner.',
+                    address: null,
+                    distance: null,
+                    price: { jpy: 1500, label: 'Taxi', approx: true, unit: 'group', category: 'Transport' },
+                    tags: [],
+                    link: null,
+                    website: null,
+                    websiteName: null,
+                    hours: null,
+                    tips: null,
+                    alternatives: []
+                }
+            ],
+            tips: [
+                'Senso-ji opens 6 AM — early = best photos',
+                'Book Mipig Cafe 1 week ahead',
+                'Kintsugi needs advance booking'
+            ]
+        },
+        {
+            id: 'day2',
+            number: 2,
+            tab: 'Skytree',
+            title: 'Skytree & Aquarium',
+            summary: 'Epic views, penguins, and origami art',
+            activities: [
+                {
+                    id: 'skytree',
+                    slot: 'Morning',
+                    start: '09:00',
+                    duration: 120,
+                    travel: 20,
+                    name: 'Tokyo Skytree',
+                    title: 'Tokyo Skytree',
+                    emoji: '🗼',
+                    badge: { label: 'Must Do', type: 'must-do' },
+                    description: "Japan's tallest tower (634m)! Breathtaking panoramic views. Book tickets online.",
+                    address: '1-1-2 Oshiage, Sumida City',
+                    distance: '15-20 min walk',
+                    price: {
+                        jpy: 2100, jpyEnd: 3100, unit: 'adult',
+                        bands: [
+                            { minAge: 0, maxAge: 5, jpy: 0 },
+                            { minAge: 6, maxAge: 11, jpy: 950, jpyEnd: 1450 },
+                            { minAge: 12, maxAge: 17, jpy: 1400, jpyEnd: 2350 }
+                        ]
+                    },
+                    tags: [],
+                    link: { href: 'https://www.tokyo-skytree.jp/en/', label: 'Book Tickets' },
+                    website: 'https://www.tokyo-skytree.jp/en/',
+                    websiteName: 'Tokyo Skytree Official',
+                    hours: '10:00 AM - 9:00 PM',
+                    tips: 'Book timed tickets online. Weekdays less crowded.',
+                    alternatives: ['shibuya-sky', 'tokyo-tower']
+                },
+                {
+                    id: 'sumida-aquarium',
+                    slot: 'Late Morning',
+                    start: '11:30',
+                    duration: 90,
+                    travel: 5,
+                    name: 'Sumida Aquarium',
+                    title: 'Sumida Aquarium',
+                    emoji: '🐠',
+                    badge: { label: 'Kid Fav', type: 'kid-fav' },
+                    description: 'Penguins, jellyfish, and beautiful planted tanks. At Skytree base.',
+                    address: 'Tokyo Skytree Town, 5F-6F',
+                    distance: 'Skytree Town',
+                    price: {
+                        jpy: 2500, unit: 'adult', approx: true,
+                        bands: [
+                            { minAge: 0, maxAge: 2, jpy: 0 },
+                            { minAge: 3, maxAge: 5, jpy: 800 },
+                            { minAge: 6, maxAge: 14, jpy: 1200 },
+                            { minAge: 15, maxAge: 17, jpy: 1800 }
+                        ]
+                    },
+                    tags: [],
+                    link: null,
+                    website: 'https://www.sumida-aquarium.com/en/',
+                    websiteName: 'Sumida Aquarium Official',
+                    hours: '10:00 AM - 8:00 PM',
+                    tips: 'Combo ticket with Skytree saves money.',
+                    alternatives: ['sunshine-aquarium', 'art-aquarium']
+                },
+                {
+                    id: 'solamachi-lunch',
+                    slot: 'Lunch',
+                    start: '13:30',
+                    duration: 60,
+                    travel: 5,
+                    name: 'Lunch at Solamachi',
+                    title: 'Lunch at Solamachi',
+                    emoji: '🍱',
+                    badge: null,
+                    description: '300+ shops & restaurants. Great food court with options for everyone.',
+                    address: null,
+                    distance: null,
+                    price: { jpy: 1000, jpyEnd: 2000, unit: 'person', approx: true, category: 'Food' },
+                    tags: [],
+                    link: null,
+                    website: null,
+                    websiteName: null,
+                    hours: null,
+                    tips: null,
+                    alternatives: []
+                },
+                {
+                    id: 'origami',
+                    slot: 'Afternoon',
+                    start: '15:30',
+                    duration: 90,
+                    travel: 20,
+                    name: 'Origami Kaikan',
+                    title: 'Origami Kaikan',
+                    emoji: '🦢',
+                    badge: { label: 'Kid Fav', type: 'kid-fav' },
+                    description: 'Museum & shop for Japanese paper folding. Great souvenirs!',
+                    address: '1-7-14 Yushima, Bunkyo City',
+                    distance: '10 min taxi',
+                    price: null,
+                    tags: [{ text: 'Free entry' }],
+                    link: null,
+                    website: 'https://www.origamikaikan.co.jp/eng/',
+                    websiteName: 'Origami Kaikan Official',
+                    hours: '9:30 AM - 6:00 PM (closed Sundays)',
+                    tips: 'Free entry. Great paper souvenirs.',
+                    alternatives: ['paper-museum', 'craft-workshop']
+                }
+            ],
+            tips: [
+                'Get combo Skytree + Aquarium ticket',
+                'Weekdays much less crowded',
+                'Origami Kaikan closed Sundays'
+            ]
+        },
+        {
+            id: 'day3',
+            number: 3,
+            tab: 'Tech',
+            title: 'Tech & Digital Art',
+            summary: 'Akihabara gadgets + teamLab magic',
+            activities: [
+                {
+                    id: 'akihabara',
+                    slot: 'Morning',
+                    start: '09:30',
+                    duration: 180,
+                    travel: 15,
+                    name: 'Akihabara Electric Town',
+                    title: 'Akihabara',
+                    emoji: '🤖',
+                    badge: { label: 'Tech Heaven', type: 'must-do' },
+                    description: "Tokyo's famous tech district. Yodobashi Akiba, retro games, arcades!",
+                    address: 'Akihabara, Chiyoda City',
+                    distance: '10 min taxi',
+                    price: null,
+                    tags: [{ text: '👧 Arcades!', type: 'kid-fav' }],
+                    link: null,
+                    website: 'https://www.gotokyo.org/en/destinations/eastern-tokyo/akihabara/',
+                    websiteName: 'GO TOKYO - Akihabara Guide',
+                    hours: 'Most shops 10:00 AM - 8:00 PM',
+                    tips: 'Yodobashi opens 9:30 AM. Bring passport for tax-free.',
+                    alternatives: ['nakano-broadway', 'ikebukuro-otome']
+                },
+                {
+                    id: 'teamlab',
+                    slot: 'Afternoon',
+                    start: '14:30',
+                    duration: 150,
+                    travel: 30,
+                    name: 'teamLab Planets',
+                    title: 'teamLab Planets',
+                    emoji: '🌊',
+                    badge: { label: "Don't Miss!", type: 'must-do' },
+                    description: 'Walk through water with digital koi, explore infinity rooms. Mind-blowing!',
+                    address: '6-1-16 Toyosu, Koto City',
+                    distance: '25 min taxi',
+                    price: {
+                        jpy: 3600, jpyEnd: 4800, unit: 'adult',
+                        bands: [
+                            { minAge: 0, maxAge: 3, jpy: 0 },
+                            { minAge: 4, maxAge: 12, jpy: 1500 },
+                            { minAge: 13, maxAge: 17, jpy: 2300 }
+                        ]
+                    },
+                    tags: [],
+                    link: { href: 'https://www.teamlab.art/e/planets/', label: 'Book teamLab' },
+                    website: 'https://www.teamlab.art/e/planets/',
+                    websiteName: 'teamLab Planets Official',
+                    hours: '9:00 AM - 10:00 PM (varies)',
+                    tips: 'Wear shorts/roll-up pants. Book 1+ month ahead!',
+                    alternatives: ['teamlab-borderless', 'mori-art-museum']
+                }
+            ],
+            tips: [
+                'Wear shorts/roll-up pants for teamLab',
+                'Book teamLab 1+ month ahead!',
+                'Bring passport for tax-free shopping'
+            ]
+        },
+        {
+            id: 'day4',
+            number: 4,
+            tab: 'Shibuya',
+            title: 'Culture & Fashion',
+            summary: 'Meiji Shrine, Harajuku, Shibuya Crossing',
+            activities: [
+                {
+                    id: 'meiji',
+                    slot: 'Morning',
+                    start: '09:00',
+                    duration: 90,
+                    travel: 20,
+                    name: 'Meiji Shrine',
+                    title: 'Meiji Shrine',
+                    emoji: '🌲',
+                    badge: { label: 'Peaceful', type: 'wife' },
+                    description: 'Serene shrine in a forested park. More peaceful than Senso-ji.',
+                    address: '1-1 Yoyogikamizonocho, Shibuya City',
+                    distance: '20 min taxi',
+                    price: null,
+                    tags: [{ text: 'Free' }],
+                    link: null,
+                    website: 'https://www.meijijingu.or.jp/en/',
+                    websiteName: 'Meiji Jingu Official',
+                    hours: 'Sunrise to Sunset',
+                    tips: 'More peaceful than Senso-ji. Beautiful forested walk.',
+                    alternatives: ['sensoji', 'nezu-shrine']
+                },
+                {
+                    id: 'harajuku',
+                    slot: 'Late Morning',
+                    start: '11:00',
+                    duration: 120,
+                    travel: 10,
+                    name: 'Harajuku & Takeshita Street',
+                    title: 'Harajuku',
+                    emoji: '🌈',
+                    badge: { label: 'Kid Fav', type: 'kid-fav' },
+                    description: 'Colorful Takeshita Street — kawaii fashion, rainbow cotton candy, crepes!',
+                    address: 'Jingumae, Shibuya City',
+                    distance: '5 min walk from shrine',
+                    price: null,
+                    tags: [],
+                    link: null,
+                    website: 'https://www.gotokyo.org/en/destinations/western-tokyo/harajuku/',
+                    websiteName: 'GO TOKYO - Harajuku Guide',
+                    hours: 'Shops typically 10:00 AM - 8:00 PM',
+                    tips: 'Try rainbow cotton candy & giant crepes!',
+                    alternatives: ['shimokitazawa', 'daikanyama']
+                },
+                {
+                    id: 'shibuya',
+                    slot: 'Afternoon',
+                    start: '14:30',
+                    duration: 180,
+                    travel: 15,
+                    name: 'Shibuya Crossing & Shibuya Sky',
+                    title: 'Shibuya Crossing',
+                    emoji: '🚶',
+                    badge: { label: 'Iconic', type: 'must-do' },
+                    description: "World's busiest crossing! Then head up to Shibuya Sky for sunset views.",
+                    address: 'Shibuya Scramble Square',
+                    distance: '10 min walk',
+                    price: { jpy: 2200, label: 'Sky:', approx: true, unit: 'adult' },
+                    tags: [],
+                    link: { href: 'https://www.shibuya-scramble-square.com/sky/', label: 'Book Shibuya Sky' },
+                    website: 'https://www.shibuya-scramble-square.com/sky/en/',
+                    websiteName: 'Shibuya Sky Official',
+                    hours: '10:00 AM - 10:30 PM',
+                    tips: 'Sunset views are spectacular. Book 4-5 PM slot.',
+                    alternatives: ['skytree', 'tokyo-tower']
+                },
+                {
+                    id: 'disney',
+                    slot: 'Full Day Alternative',
+                    displayTime: 'Alternative',
+                    start: '09:00',
+                    duration: 720,
+                    isAlternative: true,
+                    name: 'Tokyo Disneyland',
+                    title: 'Tokyo Disneyland',
+                    emoji: '🏰',
+                    badge: { label: 'Princess Dreams', type: 'kid-fav' },
+                    description: 'Swap Day 4 for Disney! Unique rides, excellent food. Book way ahead.',
+                    address: '1-1 Maihama, Urayasu, Chiba',
+                    distance: '30-40 min taxi',
+                    price: {
+                        jpy: 8400, jpyEnd: 9400, approx: true, unit: 'adult',
+                        bands: [
+                            { minAge: 0, maxAge: 3, jpy: 0 },
+                            { minAge: 4, maxAge: 11, jpy: 5000, jpyEnd: 5600 },
+                            { minAge: 12, maxAge: 17, jpy: 7000, jpyEnd: 7800 }
+                        ]
+                    },
+                    tags: [],
+                    link: { href: 'https://www.tokyodisneyresort.jp/en/', label: 'Book Disney' },
+                    website: 'https://www.tokyodisneyresort.jp/en/tdl/',
+                    websiteName: 'Tokyo Disney Resort Official',
+                    hours: 'Typically 9:00 AM - 9:00 PM',
+                    tips: 'Book tickets well ahead. Download app for wait times.',
+                    alternatives: ['disneysea', 'sanrio-puroland']
+                }
+            ],
+            tips: []
+        }
+    ],
+
+    // Alternatives are places too: the card shows desc, cost and time,
+    // and the detail view the rest (priced like activities)
+    alternatives: {
+        'meiji': {
+            name: 'Meiji Shrine',
+            emoji: '🌲',
+            desc: 'Peaceful forested shrine',
+            cost: 'Free',
+            time: '1-2 hours',
+            address: '1-1 Yoyogikamizonocho, Shibuya City, Tokyo',
+            hours: 'Sunrise to sunset',
+            website: 'https://www.meijijingu.or.jp/en/',
+            websiteName: 'Meiji Jingu Official',
+            tips: 'Enter from Harajuku Station. Quietest before 9 AM.',
+            price: null
+        },
+        'nezu-shrine': {
+            name: 'Nezu Shrine',
+            emoji: '⛩️',
+            desc: 'Beautiful torii tunnel',
+            cost: 'Free',
+            time: '1 hour',
+            address: '1-28-9 Nezu, Bunkyo City, Tokyo',
+            hours: '6:00 AM - 5:00 PM',
+            website: 'https://www.nedujinja.or.jp/',
+            websiteName: 'Nezu Shrine Official',
+            tips: 'Azaleas bloom mid-April to early May. Pair with a Yanaka stroll.',
+            price: null
+        },
+        'tea-ceremony': {
+            name: 'Tea Ceremony',
+            emoji: '🍵',
+            desc: 'Traditional tea experience',
+            cost: '¥3-5k',
+            time: '1-2 hours',
+            address: 'Various locations in Asakusa',
+            hours: 'Sessions typically 10:00 AM - 5:00 PM',
+            website: 'https://www.klook.com',
+            websiteName: 'Find a class on Klook',
+            tips: 'Pick a kid-friendly session; some include a kimono.',
+            price: { jpy: 3000, jpyEnd: 5000, unit: 'person' }
+        },
+        'calligraphy': {
+            name: 'Calligraphy Class',
+            emoji: '✍️',
+            desc: 'Learn brush calligraphy',
+            cost: '¥3-4k',
+            time: '1-2 hours',
+            address: 'Various locations in Asakusa',
+            hours: 'Sessions typically 10:00 AM - 6:00 PM',
+            website: 'https://www.klook.com',
+            websiteName: 'Find a class on Klook',
+            tips: 'Ask for a tube to carry your artwork home.',
+            price: { jpy: 3000, jpyEnd: 4000, unit: 'person' }
+        },
+        'owl-cafe': {
+            name: 'Owl Cafe',
+            emoji: '🦉',
+            desc: 'Pet owls in Harajuku',
+            cost: '¥1.5-2k',
+            time: '1 hour',
+            address: 'Takeshita Street area, Harajuku, Shibuya City, Tokyo',
+            hours: 'Typically 11:00 AM - 7:00 PM',
+            website: null,
+            websiteName: null,
+            tips: 'Book a time slot online; walk-ins wait on weekends.',
+            price: { jpy: 1500, jpyEnd: 2000, unit: 'person' }
+        },
+        'cat-cafe': {
+            name: 'Cat Cafe',
+            emoji: '🐱',
+            desc: 'Relax with cats',
+            cost: '¥1-1.5k',
+            time: '1 hour',
+            address: 'Various locations (Asakusa, Harajuku, Shibuya)',
+            hours: 'Typically 10:00 AM - 8:00 PM',
+            website: null,
+            websiteName: null,
+            tips: 'Entry is timed and drinks usually cost extra.',
+            price: { jpy: 1000, jpyEnd: 1500, unit: 'person' }
+        },
+        'hedgehog-cafe': {
+            name: 'Hedgehog Cafe',
+            emoji: '🦔',
+            desc: 'Cute hedgehog interaction',
+            cost: '¥1.4-1.8k',
+            time: '30-60 min',
+            address: 'Harajuku and Roppongi branches',
+            hours: 'Typically 11:00 AM - 7:00 PM',
+            website: null,
+            websiteName: null,
+            tips: 'Gloves are provided; hedgehogs are shy at first.',
+            price: { jpy: 1400, jpyEnd: 1800, unit: 'person' }
+        },
+        'pottery-class': {
+            name: 'Pottery Workshop',
+            emoji: '🏺',
+            desc: 'Make your own ceramics',
+            cost: '¥3.5-5k',
+            time: '2 hours',
+            address: 'Various studios in Asakusa and Kappabashi',
+            hours: 'Classes typically 10:00 AM - 5:00 PM',
+            website: 'https://www.klook.com',
+            websiteName: 'Find a class on Klook',
+            tips: 'Pieces are fired and shipped later; ask about overseas delivery.',
+            price: { jpy: 3500, jpyEnd: 5000, unit: 'person' }
+        },
+        'origami-workshop': {
+            name: 'Origami Workshop',
+            emoji: '📄',
+            desc: 'Hands-on origami class',
+            cost: '¥1.5-3k',
+            time: '1-2 hours',
+            address: 'Origami Kaikan, 1-7-14 Yushima, Bunkyo City, Tokyo',
+            hours: '9:30 AM - 6:00 PM (closed Sundays)',
+            website: 'https://www.origamikaikan.co.jp/',
+            websiteName: 'Origami Kaikan',
+            tips: 'The free gallery and paper shop are worth a look even without a class.',
+            price: { jpy: 1500, jpyEnd: 3000, unit: 'person' }
+        },
+        'shibuya-sky': {
+            name: 'Shibuya Sky',
+            emoji: '🌃',
+            desc: '360° rooftop observation',
+            cost: '¥2,200',
+            time: '1 hour',
+            address: 'Shibuya Scramble Square',
+            hours: '10:00 AM - 10:30 PM',
+            website: 'https://www.shibuya-scramble-square.com/sky/en/',
+            websiteName: 'Shibuya Sky Official',
+            tips: 'Sunset slots sell out; book a few weeks ahead.',
+            price: { jpy: 2200, approx: true, unit: 'adult' }
+        },
+        'tokyo-tower': {
+            name: 'Tokyo Tower',
+            emoji: '🗼',
+            desc: 'Iconic red tower',
+            cost: '¥1.2-3k',
+            time: '1-2 hours',
+            address: '4-2-8 Shibakoen, Minato City, Tokyo',
+            hours: '9:00 AM - 11:00 PM',
+            website: 'https://www.tokyotower.co.jp/en/',
+            websiteName: 'Tokyo Tower Official',
+            tips: 'The Main Deck is plenty with kids; the Top Deck needs a timed ticket.',
+            price: { jpy: 1200, jpyEnd: 3000, unit: 'adult' }
+        },
+        'sunshine-aquarium': {
+            name: 'Sunshine Aquarium',
+            emoji: '🦭',
+            desc: 'Rooftop aquarium',
+            cost: '¥2,600',
+            time: '2 hours',
+            address: 'Sunshine City, 3-1 Higashi-Ikebukuro, Toshima City, Tokyo',
+            hours: 'Typically 9:00 AM - 9:00 PM',
+            website: 'https://sunshinecity.jp/',
+            websiteName: 'Sunshine City Official',
+            tips: 'The sea lion ring tank is best on a sunny day.',
+            price: { jpy: 2600, unit: 'adult' }
+        },
+        'art-aquarium': {
+            name: 'Art Aquarium',
+            emoji: '🐠',
+            desc: 'Goldfish art in Ginza',
+            cost: '¥2,400',
+            time: '1-2 hours',
+            address: 'Ginza Mitsukoshi, 4-6-16 Ginza, Chuo City, Tokyo',
+            hours: '10:00 AM - 7:00 PM',
+            website: 'https://artaquarium.jp/',
+            websiteName: 'Art Aquarium Museum',
+            tips: 'Dim and busy in the afternoon; go at opening.',
+            price: { jpy: 2400, unit: 'adult' }
+        },
+        'paper-museum': {
+            name: 'Paper Museum',
+            emoji: '📜',
+            desc: 'Japanese paper history',
+            cost: '¥400',
+            time: '1-2 hours',
+            address: '1-1-3 Oji, Kita City, Tokyo',
+            hours: '10:00 AM - 5:00 PM (closed Mondays)',
+            website: 'https://papermuseum.jp/en/',
+            websiteName: 'Paper Museum Official',
+            tips: 'Combine with Asukayama Park and its free little monorail.',
+            price: { jpy: 400, unit: 'adult' }
+        },
+        'craft-workshop': {
+            name: 'Craft Workshop',
+            emoji: '🎨',
+            desc: 'Traditional crafts',
+            cost: '¥2-5k',
+            time: '1-2 hours',
+            address: 'Various studios in Asakusa',
+            hours: 'Classes typically 10:00 AM - 5:00 PM',
+            website: 'https://www.klook.com',
+            websiteName: 'Find a workshop on Klook',
+            tips: 'Glass, indigo dyeing and food-sample making all suit kids.',
+            price: { jpy: 2000, jpyEnd: 5000, unit: 'person' }
+        },
+        'nakano-broadway': {
+            name: 'Nakano Broadway',
+            emoji: '🎌',
+            desc: 'Vintage collectibles',
+            cost: 'Free',
+            time: '2-3 hours',
+            address: '5-52-15 Nakano, Nakano City, Tokyo',
+            hours: 'Most shops 12:00 PM - 8:00 PM',
+            website: null,
+            websiteName: null,
+            tips: 'Shops open around noon, so come after lunch.',
+            price: null
+        },
+        'ikebukuro-otome': {
+            name: 'Ikebukuro Otome Road',
+            emoji: '💖',
+            desc: 'Anime shops',
+            cost: 'Free',
+            time: '2-3 hours',
+            address: 'Otome Road, Higashi-Ikebukuro, Toshima City, Tokyo',
+            hours: 'Most shops 11:00 AM - 8:00 PM',
+            website: null,
+            websiteName: null,
+            tips: 'Animate\'s flagship store is a short walk away.',
+            price: null
+        },
+        'teamlab-borderless': {
+            name: 'teamLab Borderless',
+            emoji: '✨',
+            desc: 'Digital art museum',
+            cost: '¥3.8-5.4k',
+            time: '2-3 hours',
+            address: 'Azabudai Hills, 1-2-4 Azabudai, Minato City, Tokyo',
+            hours: 'Typically 9:00 AM - 9:00 PM',
+            website: 'https://www.teamlab.art/e/borderless-azabudai/',
+            websiteName: 'teamLab Borderless Official',
+            tips: 'Tickets sell out; book online and wear trousers for the mirrored floors.',
+            price: { jpy: 3800, jpyEnd: 5400, unit: 'adult' }
+        },
+        'mori-art-museum': {
+            name: 'Mori Art Museum',
+            emoji: '🖼️',
+            desc: 'Contemporary art',
+            cost: '¥2,000',
+            time: '2-3 hours',
+            address: 'Roppongi Hills Mori Tower 53F, 6-10-1 Roppongi, Minato City, Tokyo',
+            hours: '10:00 AM - 10:00 PM',
+            website: 'https://www.mori.art.museum/en/',
+            websiteName: 'Mori Art Museum Official',
+            tips: 'The ticket includes the Tokyo City View observation deck.',
+            price: { jpy: 2000, unit: 'adult' }
+        },
+        'shimokitazawa': {
+            name: 'Shimokitazawa',
+            emoji: '🎸',
+            desc: 'Bohemian vintage area',
+            cost: 'Free',
+            time: '2-3 hours',
+            address: 'Shimokitazawa Station, Setagaya City, Tokyo',
+            hours: 'Most shops 12:00 PM - 8:00 PM',
+            website: null,
+            websiteName: null,
+            tips: 'Start at Reload and Bonus Track, then wander the vintage lanes.',
+            price: null
+        },
+        'daikanyama': {
+            name: 'Daikanyama',
+            emoji: '☕',
+            desc: 'Upscale T-Site bookstore',
+            cost: 'Free',
+            time: '2 hours',
+            address: 'Daikanyama T-Site, 17-5 Sarugakucho, Shibuya City, Tokyo',
+            hours: 'Tsutaya Books 9:00 AM - 10:00 PM',
+            website: null,
+            websiteName: null,
+            tips: 'The children\'s book corner makes a good quiet break.',
+            price: null
+        },
+        'disneysea': {
+            name: 'Tokyo DisneySea',
+            emoji: '🚢',
+            desc: 'Unique nautical Disney',
+            cost: '¥8.4-9.4k',
+            time: 'Full day',
+            address: '1-13 Maihama, Urayasu, Chiba',
+            hours: 'Typically 9:00 AM - 9:00 PM',
+            website: 'https://www.tokyodisneyresort.jp/en/tds/',
+            websiteName: 'Tokyo Disney Resort Official',
+            tips: 'Buy Premier Access in the app for the big rides.',
+            price: {
+                jpy: 8400, jpyEnd: 9400, approx: true, unit: 'adult',
+                bands: [
+                    { minAge: 0, maxAge: 3, jpy: 0 },
+                    { minAge: 4, maxAge: 11, jpy: 5000, jpyEnd: 5600 },
+                    { minAge: 12, maxAge: 17, jpy: 7000, jpyEnd: 7800 }
+                ]
+            }
+        },
+        'sanrio-puroland': {
+            name: 'Sanrio Puroland',
+            emoji: '🎀',
+            desc: 'Hello Kitty theme park',
+            cost: '¥3.6-4.9k',
+            time: '4-6 hours',
+            address: '1-31 Ochiai, Tama City, Tokyo',
+            hours: 'Typically 10:00 AM - 5:00 PM',
+            website: 'https://www.puroland.jp/',
+            websiteName: 'Sanrio Puroland Official',
+            tips: 'Almost all indoors, so a good rainy-day swap.',
+            price: { jpy: 3600, jpyEnd: 4900, unit: 'adult' }
+        }
+    },
+
+    // Who is travelling; per-person prices are multiplied out for the party
+    party: {
+        adults: 2,
+        children: [{ age: 8 }]
+    },
+
+    budget: {
+        // Daily costs not tied to an activity, priced like activities
+        allowances: [
+            { category: 'Transport', jpy: 5000, unit: 'group' },
+            { category: 'Food', jpy: 2500, unit: 'person' }
+        ]
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DEFAULT_ITINERARY;
+}
@@ -0,0 +1,624 @@
+/**
+ * Itinerary Module
+ * Owns the itinerary data model (days, time slots, activities, party, budget)
+ * and derives the lookup tables the page renders from
+ */
+
+const ItineraryModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        storageKey: TripsModule.storageKey('itinerary')
+    };
+
+    // Private state
+    let itinerary = load();
+
+    /**
+     * Deep copy a JSON-compatible value
+     * @param {*} value - Value to copy
+     * @returns {*}
+     */
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Bring an older saved plan up to the current model: price units
+     * become 'person', 'adult' or 'group', hand-typed budget totals give
+     * way to the travelling party and daily allowances, default
+     * activities whose price is unchanged pick up its child age bands, and
+     * default alternatives pick up their place details
+     * @param {Object} data - Itinerary model (updated in place)
+     * @returns {Object}
+     */
+    function migrate(data) {
+        const units = { '/person': 'person', '/adult': 'adult' };
+        const defaultPrices = {};
+        DEFAULT_ITINERARY.days.forEach(day => {
+            day.activities.forEach(activity => {
+                if (activity.price) defaultPrices[activity.id] = activity.price;
+            });
+        });
+
+        data.days.forEach(day => {
+            day.activities.forEach(activity => {
+                const price = activity.price;
+                if (!price) return;
+                if (!['person', 'adult', 'group'].includes(price.unit)) {
+                    price.unit = units[price.unit] || 'group';
+                }
+
+                const original = defaultPrices[activity.id];
+                if (!price.bands && original && original.bands && original.jpy === price.jpy) {
+                    price.bands = clone(original.bands);
+                }
+            });
+        });
+
+        if (data.alternatives) {
+            Object.entries(DEFAULT_ITINERARY.alternatives).forEach(([id, alternative]) => {
+                const stored = data.alternatives[id];
+                if (stored) data.alternatives[id] = { ...clone(alternative), ...stored };
+            });
+        }
+
+        if (!data.party) {
+            data.party = clone(DEFAULT_ITINERARY.party);
+        }
+        if (!data.budget || !Array.isArray(data.budget.allowances)) {
+            data.budget = clone(DEFAULT_ITINERARY.budget);
+        }
+        data.version = DEFAULT_ITINERARY.version;
+        return data;
+    }
+
+    /**
+     * Load the saved itinerary, falling back to the default plan
+     * @returns {Object}
+     */
+    function load() {
+        try {
+            const stored = localStorage.getItem(config.storageKey);
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                if (parsed && Array.isArray(parsed.days)) {
+                    return migrate(parsed);
+                }
+            }
+        } catch (error) {
+            console.warn('[Itinerary] Failed to load saved itinerary:', error);
+        }
+        return clone(DEFAULT_ITINERARY);
+    }
+
+    /**
+     * Persist the itinerary to localStorage
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.storageKey, JSON.stringify(itinerary));
+            TripsModule.announceSave(config.storageKey);
+        } catch (error) {
+            console.error('[Itinerary] Failed to save itinerary:', error);
+        }
+    }
+
+    /**
+     * Re-read the itinerary, e.g. after another tab saved it
+     */
+    function reload() {
+        itinerary = load();
+    }
+
+    /**
+     * Get the whole itinerary model
+     * @returns {Object}
+     */
+    function getData() {
+        return itinerary;
+    }
+
+    /**
+     * Replace the whole itinerary model (e.g. from an import) and save it
+     * @param {Object} data - New itinerary model
+     */
+    function replaceData(data) {
+        itinerary = migrate(clone(data));
+        save();
+    }
+
+    /**
+     * Create an empty plan for a new trip
+     * @param {number} dayCount - Number of days
+     * @returns {Object}
+     */
+    function createBlank(dayCount) {
+        const days = [];
+        for (let number = 1; number <= dayCount; number++) {
+            days.push({
+                id: `day${number}`,
+                number,
+                tab: `Day ${number}`,
+                title: `Day ${number}`,
+                summary: '',
+                activities: [],
+                tips: []
+            });
+        }
+
+        return {
+            version: DEFAULT_ITINERARY.version,
+            slots: clone(DEFAULT_ITINERARY.slots),
+            days,
+            alternatives: {},
+            party: clone(DEFAULT_ITINERARY.party),
+            budget: clone(DEFAULT_ITINERARY.budget)
+        };
+    }
+
+    /**
+     * Get all days in order
+     * @returns {Object[]}
+     */
+    function getDays() {
+        return itinerary.days;
+    }
+
+    /**
+     * Get a day by id
+     * @param {string} dayId - Day id (e.g. 'day1')
+     * @returns {Object|null}
+     */
+    function getDay(dayId) {
+        return itinerary.days.find(day => day.id === dayId) || null;
+    }
+
+    /**
+     * Find an activity and the day it belongs to
+     * @param {string} activityId - Activity id
+     * @returns {{activity: Object, day: Object, index: number}|null}
+     */
+    function findActivity(activityId) {
+        for (const day of itinerary.days) {
+            const index = day.activities.findIndex(activity => activity.id === activityId);
+            if (index !== -1) {
+                return { activity: day.activities[index], day, index };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the time slots in day order
+     * @returns {string[]}
+     */
+    function getTimeSlots() {
+        return itinerary.slots || DEFAULT_ITINERARY.slots;
+    }
+
+    /**
+     * Create a unique activity id from a name
+     * @param {string} name - Activity name
+     * @returns {string}
+     */
+    function createActivityId(name) {
+        const base = name.toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'activity';
+
+        let id = base;
+        let suffix = 2;
+        while (findActivity(id) || itinerary.alternatives[id]) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Insert an activity into a day, after the last activity in the same or an earlier slot
+     * @param {Object} day - Target day
+     * @param {Object} activity - Activity to insert
+     */
+    function insertBySlot(day, activity) {
+        const slots = getTimeSlots();
+        const slotIndex = slot => {
+            const index = slots.indexOf(slot);
+            return index === -1 ? slots.length : index;
+        };
+
+        let position = 0;
+        day.activities.forEach((existing, index) => {
+            if (slotIndex(existing.slot) <= slotIndex(activity.slot)) {
+                position = index + 1;
+            }
+        });
+        day.activities.splice(position, 0, activity);
+    }
+
+    /**
+     * Add a new activity to a day
+     * @param {string} dayId - Target day id
+     * @param {Object} fields - Activity fields (name is required)
+     * @returns {Object|null} - The created activity
+     */
+    function addActivity(dayId, fields) {
+        const day = getDay(dayId);
+        if (!day || !fields.name) return null;
+
+        const slot = fields.slot || getTimeSlots()[0];
+        const activity = {
+            id: createActivityId(fields.name),
+            slot,
+            displayTime: slot,
+            start: fields.start || null,
+            duration: fields.duration || null,
+            travel: fields.travel || null,
+            name: fields.name,
+            title: fields.name,
+            emoji: fields.emoji || '📍',
+            badge: null,
+            description: fields.description || '',
+            address: fields.address || null,
+            distance: fields.distance || null,
+            price: fields.price || null,
+            tags: [],
+            link: null,
+            website: fields.website || null,
+            websiteName: fields.websiteName || null,
+            hours: fields.hours || null,
+            tips: fields.tips || null,
+            alternatives: []
+        };
+
+        insertBySlot(day, activity);
+        save();
+        return activity;
+    }
+
+    /**
+     * Update an activity's details
+     * @param {string} activityId - Activity id
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Object|null} - The updated activity
+     */
+    function updateActivity(activityId, changes) {
+        const found = findActivity(activityId);
+        if (!found) return null;
+
+        Object.assign(found.activity, changes, { id: activityId });
+        if (changes.name) {
+            found.activity.title = changes.name;
+        }
+        save();
+        return found.activity;
+    }
+
+    /**
+     * Move an activity to another day and/or time slot
+     * @param {string} activityId - Activity id
+     * @param {string} dayId - Target day id
+     * @param {string} slot - Target time slot
+     * @returns {boolean} - Success status
+     */
+    function moveActivity(activityId, dayId, slot) {
+        const found = findActivity(activityId);
+        const targetDay = getDay(dayId);
+        if (!found || !targetDay) return false;
+
+        const { activity, day } = found;
+        if (day === targetDay && activity.slot === slot) return true;
+
+        day.activities.splice(found.index, 1);
+        if (slot && slot !== activity.slot) {
+            activity.slot = slot;
+            activity.displayTime = slot;
+            activity.start = null; // falls back to the slot's usual start time
+        }
+        insertBySlot(targetDay, activity);
+        save();
+        return true;
+    }
+
+    /**
+     * Re-time a day after an activity moved so the times follow the new
+     * order. The moved activity takes the start of the timed activity it
+     * now precedes, but no earlier than the one before it ends (plus
+     * travel); later activities that would now start too early are pushed
+     * back the same way.
+     * @param {Object} day - Day the activity moved within
+     * @param {Object} moved - The moved activity
+     */
+    function retimeAfterMove(day, moved) {
+        const timed = day.activities.filter(activity => !activity.isAlternative);
+        const following = timed.slice(timed.indexOf(moved) + 1)
+            .map(activity => ScheduleModule.getTimes(activity))
+            .find(Boolean);
+        let previousEnd = null;
+
+        timed.forEach(activity => {
+            const times = ScheduleModule.getTimes(activity);
+            const earliest = previousEnd === null ? null : previousEnd + (activity.travel || 0);
+
+            if (activity === moved) {
+                const candidates = [earliest, following && following.start].filter(time => time !== null && time !== undefined);
+                if (candidates.length > 0) {
+                    activity.start = ScheduleModule.toInputValue(Math.max(...candidates));
+                } else {
+                    activity.start = null; // falls back to the slot's usual start time
+                    activity.displayTime = activity.slot;
+                }
+            } else if (times && earliest !== null && times.start < earliest) {
+                activity.start = ScheduleModule.toInputValue(earliest);
+            }
+
+            const retimed = ScheduleModule.getTimes(activity);
+            if (retimed) previousEnd = retimed.end;
+        });
+    }
+
+    /**
+     * Move an activity to a position within a day, adopting a neighbour's
+     * time slot when its own no longer fits between the cards around it,
+     * and re-timing the day to match the new order
+     * @param {string} activityId - Activity id
+     * @param {string} dayId - Target day id
+     * @param {number} index - Position in the day's activity list
+     * @returns {boolean} - Success status
+     */
+    function reorderActivity(activityId, dayId, index) {
+        const found = findActivity(activityId);
+        const targetDay = getDay(dayId);
+        if (!found || !targetDay) return false;
+
+        const { activity } = found;
+        found.day.activities.splice(found.index, 1);
+
+        const position = Math.max(0, Math.min(index, targetDay.activities.length));
+        targetDay.activities.splice(position, 0, activity);
+
+        const slots = getTimeSlots();
+        const prev = targetDay.activities[position - 1];
+        const next = targetDay.activities[position + 1];
+        const own = slots.indexOf(activity.slot);
+        const fits = (!prev || slots.indexOf(prev.slot) <= own) &&
+            (!next || own <= slots.indexOf(next.slot));
+
+        if (!fits) {
+            activity.slot = (prev || next).slot;
+            activity.displayTime = activity.slot;
+            activity.start = null;
+        }
+        retimeAfterMove(targetDay, activity);
+
+        save();
+        return true;
+    }
+
+    /**
+     * Remove an activity from the plan
+     * @param {string} activityId - Activity id
+     * @returns {Object|null} - The removed activity
+     */
+    function removeActivity(activityId) {
+        const found = findActivity(activityId);
+        if (!found) return null;
+
+        found.day.activities.splice(found.index, 1);
+        save();
+        return found.activity;
+    }
+
+    /**
+     * Swap an alternative into an activity's place. The replacement keeps
+     * the time slot, and the original becomes one of its alternatives.
+     * Everything needed to undo the swap is kept on the replacement.
+     * @param {string} activityId - Activity to replace
+     * @param {string} alternativeId - Alternative to swap in
+     * @param {Object} [options] - { price, proposals }: the alternative's
+     *        price (null when unknown), and the slot's proposals so an undo
+     *        can put them back
+     * @returns {Object|null} - The replacement activity
+     */
+    function swapActivity(activityId, alternativeId, options = {}) {
+        const found = findActivity(activityId);
+        const alternative = itinerary.alternatives[alternativeId];
+        if (!found || !alternative) return null;
+
+        const original = found.activity;
+        const price = options.price && options.price.jpy > 0 ? clone(options.price) : null;
+        const free = options.price && options.price.jpy === 0;
+        const addedAlternative = !itinerary.alternatives[original.id];
+
+        if (addedAlternative) {
+            itinerary.alternatives[original.id] = {
+                name: original.name,
+                emoji: original.emoji,
+                desc: original.description,
+                cost: original.price ? formatCost(original.price) : 'Free',
+                time: original.duration ? ScheduleModule.formatDuration(original.duration) : '',
+                address: original.address,
+                hours: original.hours,
+                website: original.website,
+                websiteName: original.websiteName,
+                tips: original.tips,
+                price: original.price
+            };
+        }
+
+        const replacement = {
+            id: findActivity(alternativeId) ? createActivityId(alternative.name) : alternativeId,
+            slot: original.slot,
+            displayTime: original.displayTime,
+            start: original.start,
+            duration: original.duration,
+            travel: original.travel,
+            name: alternative.name,
+            title: alternative.name,
+            emoji: alternative.emoji,
+            badge: null,
+            description: alternative.desc || '',
+            address: alternative.address || null,
+            distance: null,
+            price,
+            tags: free ? [{ text: 'Free' }] : [],
+            link: null,
+            website: alternative.website || null,
+            websiteName: alternative.websiteName || null,
+            hours: alternative.hours || null,
+            tips: alternative.tips || (alternative.time ? `Allow ${alternative.time}` : null),
+            alternatives: (original.alternatives || [])
+                .filter(id => id !== alternativeId && id !== original.id)
+                .concat(original.id),
+            swappedFrom: {
+                activity: clone(original),
+                alternativeId,
+                addedAlternative,
+                proposals: clone(options.proposals || [])
+            }
+        };
+
+        found.day.activities.splice(found.index, 1, replacement);
+        save();
+        return replacement;
+    }
+
+    /**
+     * Put back the activity a swap replaced
+     * @param {string} activityId - The replacement's id
+     * @returns {{activity: Object, proposals: Object[]}|null} - The restored
+     *          activity and the proposals saved with the swap
+     */
+    function undoSwap(activityId) {
+        const found = findActivity(activityId);
+        if (!found || !found.activity.swappedFrom) return null;
+
+        const { activity, addedAlternative, proposals } = found.activity.swappedFrom;
+        if (addedAlternative) {
+            delete itinerary.alternatives[activity.id];
+        }
+
+        found.day.activities.splice(found.index, 1, activity);
+        save();
+        return { activity, proposals };
+    }
+
+    /**
+     * Format a price as free-text cost for an alternative, e.g. '¥3,000-5,000'
+     * @param {Object} price - { jpy, jpyEnd }
+     * @returns {string}
+     */
+    function formatCost(price) {
+        const yen = value => `¥${value.toLocaleString('en-US')}`;
+        return price.jpyEnd ? `${yen(price.jpy)}-${price.jpyEnd.toLocaleString('en-US')}` : yen(price.jpy);
+    }
+
+    /**
+     * Format the time label shown in the activity modal
+     * @param {Object} day - Day the activity belongs to
+     * @param {Object} activity - Activity
+     * @returns {string} - e.g. 'Day 1 • 9:00 AM – 11:00 AM', or 'Day 1 • Optional'
+     */
+    function formatTimeLabel(day, activity) {
+        return `Day ${day.number} • ${ScheduleModule.formatRange(activity) || activity.slot}`;
+    }
+
+    /**
+     * Build the activity lookup table keyed by activity id
+     * @returns {Object}
+     */
+    function buildActivityDatabase() {
+        const database = {};
+        itinerary.days.forEach(day => {
+            day.activities.forEach(activity => {
+                database[activity.id] = {
+                    name: activity.name,
+                    emoji: activity.emoji,
+                    time: formatTimeLabel(day, activity),
+                    website: activity.website,
+                    websiteName: activity.websiteName,
+                    address: activity.address,
+                    hours: activity.hours,
+                    tips: activity.tips,
+                    price: activity.price,
+                    alternatives: activity.alternatives || []
+                };
+            });
+        });
+        return database;
+    }
+
+    /**
+     * Get the alternatives lookup table keyed by alternative id
+     * @returns {Object}
+     */
+    function getAlternatives() {
+        return itinerary.alternatives;
+    }
+
+    /**
+     * Get the budget settings
+     * @returns {{allowances: Object[]}} - Daily allowances: [{ category, jpy, unit }]
+     */
+    function getBudget() {
+        return itinerary.budget;
+    }
+
+    /**
+     * Get the travelling party
+     * @returns {{adults: number, children: {age: number}[]}}
+     */
+    function getParty() {
+        return itinerary.party;
+    }
+
+    /**
+     * Set the travelling party
+     * @param {number} adults - Number of adults (at least 1)
+     * @param {number[]} childAges - Age of each child
+     * @returns {boolean} - Success status
+     */
+    function setParty(adults, childAges) {
+        if (!(adults >= 1) || childAges.some(age => !(age >= 0 && age < 18))) return false;
+
+        itinerary.party = {
+            adults: Math.round(adults),
+            children: childAges.map(age => ({ age: Math.round(age) }))
+        };
+        save();
+        return true;
+    }
+
+    // Public API
+    return {
+        save,
+        reload,
+        getData,
+        replaceData,
+        createBlank,
+        getDays,
+        getDay,
+        findActivity,
+        getTimeSlots,
+        addActivity,
+        updateActivity,
+        moveActivity,
+        reorderActivity,
+        removeActivity,
+        swapActivity,
+        undoSwap,
+        formatTimeLabel,
+        buildActivityDatabase,
+        getAlternatives,
+        getBudget,
+        getParty,
+        setParty
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItineraryModule;
+}
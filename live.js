@@ -0,0 +1,125 @@
+/**
+ * Live Module
+ * Works out where the trip is right now in Japan time: counting down to
+ * departure, the current and next activity, or finished
+ */
+
+const LiveModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        utcOffsetMinutes: 9 * 60 // JST, no daylight saving
+    };
+
+    const MINUTE = 60 * 1000;
+    const DAY = 24 * 60 * MINUTE;
+
+    /**
+     * Get the instant a trip day starts (midnight JST)
+     * @param {string} startDate - Date of day 1, 'YYYY-MM-DD'
+     * @param {number} dayNumber - 1-based day number
+     * @returns {number|null} - Epoch milliseconds
+     */
+    function getDayStart(startDate, dayNumber) {
+        const date = ScheduleModule.getDayDate(startDate, dayNumber);
+        return date ? date.getTime() - config.utcOffsetMinutes * MINUTE : null;
+    }
+
+    /**
+     * Get the date in Japan, which is ahead of UTC for the first nine hours
+     * of each Japanese day
+     * @param {number} now - Epoch milliseconds (defaults to the current time)
+     * @returns {string} - 'YYYY-MM-DD'
+     */
+    function getToday(now = Date.now()) {
+        return new Date(now + config.utcOffsetMinutes * MINUTE).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Build a timeline of every scheduled activity with absolute times
+     * @param {Object[]} days - Itinerary days
+     * @param {string} startDate - Date of day 1
+     * @returns {{activity: Object, day: Object, startsAt: number, endsAt: number}[]}
+     */
+    function buildTimeline(days, startDate) {
+        const timeline = [];
+        days.forEach(day => {
+            const dayStart = getDayStart(startDate, day.number);
+            day.activities
+                .filter(activity => !activity.isAlternative)
+                .forEach(activity => {
+                    const times = ScheduleModule.getTimes(activity);
+                    if (!times) return;
+                    timeline.push({
+                        activity,
+                        day,
+                        startsAt: dayStart + times.start * MINUTE,
+                        endsAt: dayStart + times.end * MINUTE
+                    });
+                });
+        });
+        return timeline.sort((a, b) => a.startsAt - b.startsAt);
+    }
+
+    /**
+     * Work out the trip's state at a moment in time
+     * @param {Object[]} days - Itinerary days
+     * @param {string} startDate - Date of day 1, 'YYYY-MM-DD'
+     * @param {number} now - Epoch milliseconds (defaults to the current time)
+     * @returns {Object|null} - null without a start date, otherwise one of
+     *     { phase: 'before', departsAt }
+     *     { phase: 'during', day, current, next } (entries from the timeline, or null)
+     *     { phase: 'after' }
+     */
+    function getStatus(days, startDate, now = Date.now()) {
+        const tripStart = getDayStart(startDate, 1);
+        if (tripStart === null || days.length === 0) return null;
+
+        const tripEnd = tripStart + days.length * DAY;
+        const timeline = buildTimeline(days, startDate);
+
+        if (now < tripStart) {
+            const first = timeline[0];
+            return { phase: 'before', departsAt: first && first.day.number === 1 ? first.startsAt : tripStart };
+        }
+        if (now >= tripEnd) {
+            return { phase: 'after' };
+        }
+
+        const day = days[Math.floor((now - tripStart) / DAY)];
+        const current = timeline.filter(entry => entry.startsAt <= now && now < entry.endsAt).pop() || null;
+        const next = timeline.find(entry => entry.startsAt > now) || null;
+
+        return { phase: 'during', day, current, next };
+    }
+
+    /**
+     * Format the time left until an instant
+     * @param {number} ms - Milliseconds remaining
+     * @returns {string} - e.g. '3d 4h', '2h 15m' or '12m'
+     */
+    function formatCountdown(ms) {
+        const totalMinutes = Math.max(1, Math.ceil(ms / MINUTE));
+        const days = Math.floor(totalMinutes / (24 * 60));
+        const hours = Math.floor(totalMinutes / 60) % 24;
+        const minutes = totalMinutes % 60;
+
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m`;
+    }
+
+    // Public API
+    return {
+        getStatus,
+        getToday,
+        formatCountdown
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveModule;
+}
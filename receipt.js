@@ -0,0 +1,167 @@
+/**
+ * Receipt Module
+ * Reads the total, tax, date and store name out of the OCR text of a
+ * Japanese receipt so it can pre-fill an expense
+ */
+
+const ReceiptModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        totalPattern: /合計|総額|お会計|お買上|ご請求|請求額|total/i,
+        // 小計 is the subtotal, 対象 the per-rate breakdown, 点数 the item count
+        notTotalPattern: /小計|対象|点数|[0-9]点|sub\s*total/i,
+        subtotalPattern: /小計|subtotal/i,
+        taxPattern: /消費税|税額|内税|外税|tax(?!free)/i,
+        includedPattern: /税込|内税|内消費税|\(内|（内/,
+        // Lines at the top of a receipt that are never the store name
+        notStorePattern: /領収|レシート|receipt|いらっしゃ|ありがと|tel|電話|〒|登録番号|[0-9]{2,}[-‐ー][0-9]{2,}/i,
+        reiwaOffset: 2018 // 令和1年 is 2019
+    };
+
+    /**
+     * Normalise OCR text: full-width digits and symbols become ASCII
+     * @param {string} text - Raw OCR text
+     * @returns {string[]} - Non-empty lines
+     */
+    function toLines(text) {
+        return (text || '')
+            .normalize('NFKC')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Read the last yen amount on a line, ignoring percentages
+     * @param {string} line - Receipt line
+     * @returns {number|null}
+     */
+    function readAmount(line) {
+        const compact = line
+            .replace(/[0-9]+(\.[0-9]+)?\s*%/g, '')
+            .replace(/\s+/g, '');
+        const amounts = compact.match(/[0-9]{1,3}(?:,[0-9]{3})+|[0-9]+/g);
+        return amounts ? parseInt(amounts[amounts.length - 1].replace(/,/g, ''), 10) : null;
+    }
+
+    /**
+     * Find the first amount on a line matching a pattern
+     * @param {string[]} lines - Receipt lines
+     * @param {RegExp} pattern - Line must match
+     * @param {RegExp} [exclude] - Line must not match
+     * @returns {{line: string, jpy: number}|null}
+     */
+    function findAmount(lines, pattern, exclude = null) {
+        for (const line of lines) {
+            const compact = line.replace(/\s+/g, '');
+            if (!pattern.test(compact) || (exclude && exclude.test(compact))) continue;
+
+            const jpy = readAmount(line);
+            if (jpy !== null) return { line: compact, jpy };
+        }
+        return null;
+    }
+
+    /**
+     * Read the date, e.g. 2026年10月19日, 2026/10/19 or 令和8年10月19日
+     * @param {string[]} lines - Receipt lines
+     * @returns {string|null} - 'YYYY-MM-DD'
+     */
+    function readDate(lines) {
+        const patterns = [
+            { regex: /令和\s*([0-9]{1,2})\s*年\s*([0-9]{1,2})\s*月\s*([0-9]{1,2})\s*日/, year: y => Number(y) + config.reiwaOffset },
+            { regex: /((?:20)?[0-9]{2})\s*年\s*([0-9]{1,2})\s*月\s*([0-9]{1,2})\s*日/, year: y => Number(y) < 100 ? 2000 + Number(y) : Number(y) },
+            { regex: /(20[0-9]{2})\s*[/.\-]\s*([0-9]{1,2})\s*[/.\-]\s*([0-9]{1,2})/, year: Number }
+        ];
+
+        for (const line of lines) {
+            for (const { regex, year } of patterns) {
+                const match = regex.exec(line);
+                if (!match) continue;
+
+                const month = Number(match[2]);
+                const day = Number(match[3]);
+                if (month < 1 || month > 12 || day < 1 || day > 31) continue;
+
+                return `${year(match[1])}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Guess the store name: the first line near the top that reads like a name
+     * @param {string[]} lines - Receipt lines
+     * @returns {string|null}
+     */
+    function readStore(lines) {
+        const candidate = lines.slice(0, 6).find(line => {
+            const digits = (line.match(/[0-9]/g) || []).length;
+            return line.replace(/\s+/g, '').length >= 2 &&
+                digits * 2 < line.length &&
+                !config.notStorePattern.test(line) &&
+                !config.totalPattern.test(line);
+        });
+        return candidate ? candidate.replace(/\s{2,}/g, ' ') : null;
+    }
+
+    /**
+     * Read the tax line
+     * @param {string[]} lines - Receipt lines
+     * @param {string} text - Whole receipt, to spot tax-included wording elsewhere
+     * @returns {{jpy: number, rate: number|null, included: boolean}|null}
+     */
+    function readTax(lines, text) {
+        const found = findAmount(lines, config.taxPattern, /対象/);
+        if (!found) return null;
+
+        const rate = /(8|10)\s*%/.exec(found.line);
+        return {
+            jpy: found.jpy,
+            rate: rate ? Number(rate[1]) : null,
+            included: config.includedPattern.test(found.line) ||
+                (!/外税/.test(found.line) && config.includedPattern.test(text))
+        };
+    }
+
+    /**
+     * Parse a receipt
+     * @param {string} text - OCR text
+     * @returns {{total: number|null, subtotal: number|null, tax: Object|null, date: string|null, store: string|null}}
+     */
+    function parse(text) {
+        const lines = toLines(text);
+        const normalized = lines.join('\n');
+
+        const total = findAmount(lines, config.totalPattern, config.notTotalPattern);
+        const subtotal = findAmount(lines, config.subtotalPattern);
+        const tax = readTax(lines, normalized);
+
+        // Without a 合計 line, tax added on top of the subtotal makes the total
+        let totalJpy = total ? total.jpy : null;
+        if (totalJpy === null && subtotal) {
+            totalJpy = subtotal.jpy + (tax && !tax.included ? tax.jpy : 0);
+        }
+
+        return {
+            total: totalJpy,
+            subtotal: subtotal ? subtotal.jpy : null,
+            tax,
+            date: readDate(lines),
+            store: readStore(lines)
+        };
+    }
+
+    // Public API
+    return {
+        parse
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptModule;
+}
@@ -0,0 +1,256 @@
+/**
+ * Reorder Module
+ * Long-press drag and drop for activity cards, using pointer events
+ * so mouse and touch share one code path
+ */
+
+const ReorderModule = (function() {
+    'use strict';
+
+    // Private state
+    let container = null;
+    let tabBar = null;
+    let callbacks = {};
+    let pressTimer = null;
+    let pressStart = null;
+    let drag = null;
+    let suppressClick = false;
+
+    // Configuration
+    const config = {
+        longPressDelay: 350,   // ms before a press turns into a drag
+        moveTolerance: 8,      // px of movement that cancels a long press (it's a scroll)
+        edgeScrollZone: 80,    // px from the viewport edge that starts auto-scrolling
+        edgeScrollSpeed: 12    // px scrolled per pointer move inside the zone
+    };
+
+    /**
+     * Enable drag reordering inside a container of .activity-list elements
+     * @param {HTMLElement} root - Element containing the activity lists
+     * @param {Object} options - { tabBar, onReorder(activityId, dayId, index), onMoveToDay(activityId, dayId) }
+     */
+    function init(root, options = {}) {
+        container = root;
+        tabBar = options.tabBar || null;
+        callbacks = options;
+
+        container.addEventListener('pointerdown', handlePointerDown);
+        container.addEventListener('contextmenu', (e) => {
+            if (pressTimer || drag) e.preventDefault();
+        });
+        // Swallow the click that follows a drop so the card doesn't open
+        container.addEventListener('click', (e) => {
+            if (suppressClick) {
+                e.stopPropagation();
+                e.preventDefault();
+                suppressClick = false;
+            }
+        }, true);
+
+        document.addEventListener('pointermove', handlePointerMove);
+        document.addEventListener('pointerup', handlePointerUp);
+        document.addEventListener('pointercancel', cancel);
+        // Touch browsers scroll unless touchmove is cancelled while dragging
+        document.addEventListener('touchmove', (e) => {
+            if (drag) e.preventDefault();
+        }, { passive: false });
+
+        console.log('[Reorder] Module initialized');
+    }
+
+    /**
+     * Start the long-press timer on a card
+     * @param {PointerEvent} e
+     */
+    function handlePointerDown(e) {
+        if (e.button !== 0) return;
+
+        const card = e.target.closest('.activity-card');
+        if (!card || !card.dataset.activity || e.target.closest('a, button')) return;
+
+        pressStart = { x: e.clientX, y: e.clientY };
+        clearTimeout(pressTimer);
+        pressTimer = setTimeout(() => {
+            pressTimer = null;
+            startDrag(card, pressStart);
+        }, config.longPressDelay);
+    }
+
+    /**
+     * Lift a card out of its list and leave a placeholder behind
+     * @param {HTMLElement} card - Card being dragged
+     * @param {{x: number, y: number}} point - Pointer position
+     */
+    function startDrag(card, point) {
+        const rect = card.getBoundingClientRect();
+        const placeholder = document.createElement('div');
+        placeholder.className = 'drag-placeholder';
+        placeholder.style.height = `${rect.height}px`;
+        card.parentNode.insertBefore(placeholder, card);
+
+        drag = {
+            card,
+            placeholder,
+            list: card.parentNode,
+            offsetY: point.y - rect.top,
+            dropTab: null
+        };
+
+        card.classList.add('dragging');
+        Object.assign(card.style, {
+            position: 'fixed',
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            transition: 'none',
+            pointerEvents: 'none'
+        });
+        document.body.classList.add('is-dragging');
+
+        if ('vibrate' in navigator) {
+            navigator.vibrate(15);
+        }
+    }
+
+    /**
+     * Follow the pointer, moving the placeholder and highlighting day tabs
+     * @param {PointerEvent} e
+     */
+    function handlePointerMove(e) {
+        if (!drag) {
+            if (pressTimer && pressStart) {
+                const dx = e.clientX - pressStart.x;
+                const dy = e.clientY - pressStart.y;
+                if (Math.hypot(dx, dy) > config.moveTolerance) {
+                    clearTimeout(pressTimer);
+                    pressTimer = null;
+                }
+            }
+            return;
+        }
+
+        e.preventDefault();
+        drag.card.style.top = `${e.clientY - drag.offsetY}px`;
+
+        if (e.clientY < config.edgeScrollZone) {
+            window.scrollBy(0, -config.edgeScrollSpeed);
+        } else if (e.clientY > window.innerHeight - config.edgeScrollZone) {
+            window.scrollBy(0, config.edgeScrollSpeed);
+        }
+
+        const target = document.elementFromPoint(e.clientX, e.clientY);
+        const tab = target && tabBar ? target.closest('.tab') : null;
+        setDropTab(tab && getTabDayId(tab) ? tab : null);
+
+        if (!drag.dropTab) {
+            movePlaceholder(e.clientY);
+        }
+    }
+
+    /**
+     * Place the placeholder before the first card whose midpoint is below the pointer
+     * @param {number} y - Pointer Y in viewport coordinates
+     */
+    function movePlaceholder(y) {
+        const siblings = Array.from(drag.list.querySelectorAll('.activity-card'))
+            .filter(el => el !== drag.card);
+
+        const before = siblings.find(el => {
+            const rect = el.getBoundingClientRect();
+            return y < rect.top + rect.height / 2;
+        });
+
+        if (before) {
+            drag.list.insertBefore(drag.placeholder, before);
+        } else {
+            drag.list.appendChild(drag.placeholder);
+        }
+    }
+
+    /**
+     * Highlight the day tab under the pointer
+     * @param {HTMLElement|null} tab
+     */
+    function setDropTab(tab) {
+        if (drag.dropTab === tab) return;
+        if (drag.dropTab) drag.dropTab.classList.remove('drop-target');
+        drag.dropTab = tab;
+        if (tab) tab.classList.add('drop-target');
+    }
+
+    /**
+     * Get the day id a tab links to, ignoring non-day tabs
+     * @param {HTMLElement} tab
+     * @returns {string|null}
+     */
+    function getTabDayId(tab) {
+        const href = tab.getAttribute('href') || '';
+        const dayId = href.replace('#', '');
+        return document.querySelector(`.activity-list[data-day="${dayId}"]`) ? dayId : null;
+    }
+
+    /**
+     * Drop the card and report the new position
+     */
+    function handlePointerUp() {
+        clearTimeout(pressTimer);
+        pressTimer = null;
+        if (!drag) return;
+
+        const activityId = drag.card.dataset.activity;
+        const fromDayId = drag.list.dataset.day;
+        const toDayId = drag.dropTab ? getTabDayId(drag.dropTab) : null;
+        const index = Array.from(drag.list.children)
+            .filter(el => el !== drag.card && (el === drag.placeholder || el.classList.contains('activity-card')))
+            .indexOf(drag.placeholder);
+
+        cleanup();
+        suppressClick = true;
+        setTimeout(() => { suppressClick = false; }, 0);
+
+        if (toDayId && toDayId !== fromDayId) {
+            if (callbacks.onMoveToDay) callbacks.onMoveToDay(activityId, toDayId);
+        } else if (!toDayId && callbacks.onReorder) {
+            callbacks.onReorder(activityId, fromDayId, index);
+        }
+    }
+
+    /**
+     * Abort a press or drag without reporting a change
+     */
+    function cancel() {
+        clearTimeout(pressTimer);
+        pressTimer = null;
+        if (drag) cleanup();
+    }
+
+    /**
+     * Put the dragged card back and remove drag styling
+     */
+    function cleanup() {
+        const { card, placeholder, dropTab } = drag;
+
+        if (dropTab) dropTab.classList.remove('drop-target');
+        placeholder.parentNode.insertBefore(card, placeholder);
+        placeholder.remove();
+
+        card.classList.remove('dragging');
+        ['position', 'top', 'left', 'width', 'transition', 'pointerEvents'].forEach(prop => {
+            card.style[prop] = '';
+        });
+        document.body.classList.remove('is-dragging');
+        drag = null;
+    }
+
+    // Public API
+    return {
+        init,
+        cancel
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReorderModule;
+}
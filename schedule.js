@@ -0,0 +1,249 @@
+/**
+ * Schedule Module
+ * Resolves activity start/end times and checks each day for overlaps,
+ * late finishes, travel time that doesn't fit and closed venues
+ */
+
+const ScheduleModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        defaultDuration: 90,  // minutes, when an activity has no duration
+        dayEndTime: '21:00',  // later than this is flagged as a long day
+        dayNames: ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'],
+        // Start times used when an activity only has a slot name
+        slotTimes: {
+            'Morning': '09:00',
+            'Late Morning': '11:00',
+            'Lunch': '12:30',
+            'Afternoon': '14:00',
+            'Evening': '18:00'
+        }
+    };
+
+    /**
+     * Convert 'HH:MM' (24-hour) to minutes after midnight
+     * @param {string} text - Time string
+     * @returns {number|null}
+     */
+    function parseTime(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec((text || '').trim());
+        if (!match) return null;
+        return parseInt(match[1]) * 60 + parseInt(match[2]);
+    }
+
+    /**
+     * Convert a display time like '1:30 PM' to minutes after midnight
+     * @param {string} text - Display time
+     * @returns {number|null}
+     */
+    function parseClockTime(text) {
+        const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec((text || '').trim());
+        if (!match) return null;
+
+        let hours = parseInt(match[1]) % 12;
+        if (match[3].toUpperCase() === 'PM') hours += 12;
+        return hours * 60 + parseInt(match[2]);
+    }
+
+    /**
+     * Format minutes after midnight as a 12-hour clock time
+     * @param {number} minutes
+     * @returns {string} - e.g. '1:30 PM'
+     */
+    function formatTime(minutes) {
+        const normalized = ((minutes % 1440) + 1440) % 1440;
+        const hours = Math.floor(normalized / 60);
+        const mins = normalized % 60;
+        const suffix = hours < 12 ? 'AM' : 'PM';
+        return `${hours % 12 || 12}:${String(mins).padStart(2, '0')} ${suffix}`;
+    }
+
+    /**
+     * Format minutes after midnight as 'HH:MM' for time inputs
+     * @param {number} minutes
+     * @returns {string}
+     */
+    function toInputValue(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a duration
+     * @param {number} minutes
+     * @returns {string} - e.g. '1h 30m'
+     */
+    function formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        if (!hours) return `${mins}m`;
+        return mins ? `${hours}h ${mins}m` : `${hours}h`;
+    }
+
+    /**
+     * Resolve when an activity happens. Uses the explicit start time, then a
+     * legacy '9:00 AM' display time, then the slot's usual start time.
+     * @param {Object} activity - Activity from the itinerary
+     * @returns {{start: number, end: number, duration: number, approximate: boolean}|null}
+     *          null when the activity isn't scheduled (e.g. 'Optional')
+     */
+    function getTimes(activity) {
+        let start = parseTime(activity.start);
+        let approximate = false;
+
+        if (start === null) {
+            start = parseClockTime(activity.displayTime);
+        }
+        if (start === null && config.slotTimes[activity.slot]) {
+            start = parseTime(config.slotTimes[activity.slot]);
+            approximate = true;
+        }
+        if (start === null) return null;
+
+        const duration = activity.duration > 0 ? activity.duration : config.defaultDuration;
+        return { start, end: start + duration, duration, approximate };
+    }
+
+    /**
+     * Format an activity's time range for display
+     * @param {Object} activity - Activity from the itinerary
+     * @returns {string|null} - e.g. '9:00 AM – 11:00 AM', prefixed with '~'
+     *          when only the slot's usual time is known
+     */
+    function formatRange(activity) {
+        const times = getTimes(activity);
+        if (!times) return null;
+        const approx = times.approximate ? '~' : '';
+        return `${approx}${formatTime(times.start)} – ${formatTime(times.end)}`;
+    }
+
+    /**
+     * Get the calendar date of a trip day
+     * @param {string} startDate - Date of day 1, 'YYYY-MM-DD'
+     * @param {number} dayNumber - 1-based day number
+     * @returns {Date|null} - Midnight UTC of that date, or null without a start date
+     */
+    function getDayDate(startDate, dayNumber) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(startDate || '');
+        if (!match) return null;
+        return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + dayNumber - 1));
+    }
+
+    /**
+     * Format a trip day's date
+     * @param {Date} date - Result of getDayDate()
+     * @returns {string} - e.g. 'Sun, Nov 1'
+     */
+    function formatDayDate(date) {
+        return date.toLocaleDateString('en-US', {
+            weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+        });
+    }
+
+    /**
+     * Describe a problem reported by HoursModule.check()
+     * @param {Object} problem - { type, time? }
+     * @param {Object} hours - Parsed hours
+     * @param {Date|null} date - Date of the visit
+     * @returns {{type: string, message: string}}
+     */
+    function describeHoursProblem(problem, hours, date) {
+        const vary = hours.approximate ? ' (hours vary)' : '';
+        switch (problem.type) {
+            case 'closed-date':
+                return { type: 'closed', message: `Closed on ${formatDayDate(date)}` };
+            case 'closed-day':
+                return { type: 'closed', message: `Closed on ${config.dayNames[date.getUTCDay()]}` };
+            case 'opens':
+                return { type: 'hours', message: `Opens at ${formatTime(problem.time)}${vary}` };
+            case 'closes':
+                return { type: 'hours', message: `Closes at ${formatTime(problem.time)}${vary}` };
+            default:
+                return { type: 'reservation', message: 'Reservation only — make sure this time is booked' };
+        }
+    }
+
+    /**
+     * Check a day for schedule problems: overlaps, travel, late finishes and
+     * visits outside opening hours. Alternatives are ignored.
+     * @param {Object} day - Day from the itinerary
+     * @param {string} startDate - Trip start date ('YYYY-MM-DD'), enables closed-day checks
+     * @returns {Object} - Warnings keyed by activity id: [{ type, message }]
+     */
+    function analyzeDay(day, startDate = '') {
+        const warnings = {};
+        const addWarning = (activityId, type, message) => {
+            (warnings[activityId] = warnings[activityId] || []).push({ type, message });
+        };
+        const date = getDayDate(startDate, day.number);
+
+        day.activities
+            .filter(activity => !activity.isAlternative && activity.hours)
+            .forEach(activity => {
+                const hours = HoursModule.parse(activity.hours);
+                const times = getTimes(activity);
+                const visit = {
+                    weekday: date ? date.getUTCDay() : null,
+                    date: date ? date.toISOString().slice(5, 10) : null,
+                    start: times ? times.start : null,
+                    end: times ? times.end : null
+                };
+                HoursModule.check(hours, visit).forEach(problem => {
+                    const warning = describeHoursProblem(problem, hours, date);
+                    addWarning(activity.id, warning.type, warning.message);
+                });
+            });
+
+        const scheduled = day.activities
+            .filter(activity => !activity.isAlternative)
+            .map(activity => ({ activity, times: getTimes(activity) }))
+            .filter(entry => entry.times)
+            .sort((a, b) => a.times.start - b.times.start);
+
+        const dayEnd = parseTime(config.dayEndTime);
+
+        scheduled.forEach((entry, index) => {
+            const { activity, times } = entry;
+            const prev = scheduled[index - 1];
+
+            if (prev) {
+                const gap = times.start - prev.times.end;
+                if (gap < 0) {
+                    addWarning(activity.id, 'overlap',
+                        `Overlaps ${prev.activity.name} by ${formatDuration(-gap)}`);
+                } else if (activity.travel > gap) {
+                    const allowed = gap > 0 ? `Only ${formatDuration(gap)}` : 'No time';
+                    addWarning(activity.id, 'travel',
+                        `${allowed} to get here from ${prev.activity.name} (travel ~${formatDuration(activity.travel)})`);
+                }
+            }
+
+            if (times.end > dayEnd) {
+                addWarning(activity.id, 'late',
+                    `Runs until ${formatTime(times.end)}, past ${formatTime(dayEnd)}`);
+            }
+        });
+
+        return warnings;
+    }
+
+    // Public API
+    return {
+        parseTime,
+        formatTime,
+        formatDuration,
+        toInputValue,
+        getTimes,
+        formatRange,
+        getDayDate,
+        formatDayDate,
+        analyzeDay
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleModule;
+}
@@ -2,18 +2,12 @@
 // TOKYO ADVENTURE - Clean Mobile-First Script
 // ===========================================
 
-// Currency conversion rate (¥100 = $1 AUD)
-const RATE = 100;
-
-// Current currency display mode
-let currentCurrency = 'jpy';
+// Current currency display mode: 'jpy' or 'home' (rates live in CurrencyModule)
+let currentCurrency = CurrencyModule.getDisplay();
 
 // Dark mode state
 let isDarkMode = localStorage.getItem('tokyoDarkMode') === 'true';
 
-// Activity suggestions (stored in localStorage)
-let activitySuggestions = JSON.parse(localStorage.getItem('tokyoSuggestions') || '{}');
-
 // Current suggestion being made
 let pendingSuggestion = null;
 
@@ -25,12 +19,35 @@ function formatNumber(num) {
     return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 }
 
-function jpyToAud(jpy) {
-    return (jpy / RATE).toFixed(2);
+function jpyToHome(jpy) {
+    return CurrencyModule.fromJpy(jpy).toFixed(CurrencyModule.getCurrency().decimals);
+}
+
+function homeToJpy(amount) {
+    return CurrencyModule.toJpy(amount);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Ids can come from shared links and imports, so they never go into a selector
+function findActivityCard(activityId, root = document) {
+    return [...root.querySelectorAll('.activity-card')].find(card => card.dataset.activity === activityId) || null;
 }
 
-function audToJpy(aud) {
-    return Math.round(aud * RATE);
+function formatPrice(jpy, jpyEnd, currency) {
+    if (currency === 'jpy') {
+        return jpyEnd ? `¥${formatNumber(jpy)}-${formatNumber(jpyEnd)}` : `¥${formatNumber(jpy)}`;
+    }
+    const { symbol } = CurrencyModule.getCurrency();
+    const amount = value => formatNumber(jpyToHome(value));
+    return jpyEnd ? `${symbol}${amount(jpy)}-${amount(jpyEnd)}` : `${symbol}${amount(jpy)}`;
 }
 
 // ===========================================
@@ -89,21 +106,7 @@ function updateAllPrices(currency) {
             const jpyEnd = el.dataset.jpyEnd ? parseInt(el.dataset.jpyEnd) : null;
             const isRange = el.dataset.range === 'true';
             
-            if (currency === 'jpy') {
-                if (isRange && jpyEnd) {
-                    el.textContent = `¥${formatNumber(jpy)}-${formatNumber(jpyEnd)}`;
-                } else {
-                    el.textContent = `¥${formatNumber(jpy)}`;
-                }
-            } else {
-                const aud = jpyToAud(jpy);
-                if (isRange && jpyEnd) {
-                    const audEnd = jpyToAud(jpyEnd);
-                    el.textContent = `$${aud}-${audEnd}`;
-                } else {
-                    el.textContent = `$${aud}`;
-                }
-            }
+            el.textContent = formatPrice(jpy, isRange ? jpyEnd : null, currency);
             
             el.classList.remove('switching');
         }, 150);
@@ -111,9 +114,55 @@ function updateAllPrices(currency) {
 }
 
 function toggleCurrency() {
-    currentCurrency = currentCurrency === 'jpy' ? 'aud' : 'jpy';
+    currentCurrency = currentCurrency === 'jpy' ? 'home' : 'jpy';
+    CurrencyModule.setDisplay(currentCurrency);
     updateAllPrices(currentCurrency);
-    showToast(currentCurrency === 'jpy' ? 'Showing ¥ JPY' : 'Showing $ AUD', '💱');
+    
+    const { symbol, code } = CurrencyModule.getCurrency();
+    showToast(currentCurrency === 'jpy' ? 'Showing ¥ JPY' : `Showing ${symbol} ${code} • rate ${describeRateAge()}`, '💱');
+}
+
+// e.g. '¥100 ≈ $1 AUD'
+function getRateSummary() {
+    const { symbol, code } = CurrencyModule.getCurrency();
+    const { rate } = CurrencyModule.getRate();
+    return `¥${formatNumber(Number(rate.toFixed(2)))} ≈ ${symbol}1 ${code}`;
+}
+
+// e.g. 'from today', '12 days old ⚠️' or 'estimate'
+function describeRateAge(code = CurrencyModule.getHome()) {
+    const age = CurrencyModule.getRateAge(code);
+    if (!age) return 'estimate';
+    
+    const text = age.days === 0 ? 'from today' : `${age.days} day${age.days === 1 ? '' : 's'} old`;
+    return age.stale ? `${text} ⚠️` : text;
+}
+
+// Refresh every label that names the home currency or its rate
+function updateCurrencyLabels() {
+    const { symbol, name } = CurrencyModule.getCurrency();
+    
+    document.querySelectorAll('.rate-summary').forEach(el => {
+        el.textContent = getRateSummary();
+    });
+    
+    const rateDate = document.getElementById('rateDate');
+    if (rateDate) {
+        const { source } = CurrencyModule.getRate();
+        const age = CurrencyModule.getRateAge();
+        rateDate.textContent = source ? `${source} • ${describeRateAge()}` : describeRateAge();
+        rateDate.classList.toggle('stale', Boolean(age && age.stale));
+    }
+    
+    const homeLabel = document.getElementById('homeCurrencyLabel');
+    if (homeLabel) homeLabel.textContent = `${name} (${symbol})`;
+    
+    const convertSubtitle = document.querySelector('.quick-action-card.currency .action-subtitle');
+    if (convertSubtitle) convertSubtitle.textContent = `¥ ↔ ${symbol}`;
+    
+    if (yenInput && homeInput) {
+        homeInput.value = jpyToHome(parseFloat(yenInput.value) || 0);
+    }
 }
 
 // ===========================================
@@ -124,7 +173,7 @@ const modal = document.getElementById('converterModal');
 const openBtn = document.getElementById('openConverter');
 const closeBtn = document.getElementById('closeModal');
 const yenInput = document.getElementById('yenInput');
-const audInput = document.getElementById('audInput');
+const homeInput = document.getElementById('homeInput');
 
 if (openBtn) {
     openBtn.addEventListener('click', () => {
@@ -154,17 +203,17 @@ if (yenInput) {
         if (isUpdating) return;
         isUpdating = true;
         const yen = parseFloat(yenInput.value) || 0;
-        audInput.value = jpyToAud(yen);
+        homeInput.value = jpyToHome(yen);
         isUpdating = false;
     });
 }
 
-if (audInput) {
-    audInput.addEventListener('input', () => {
+if (homeInput) {
+    homeInput.addEventListener('input', () => {
         if (isUpdating) return;
         isUpdating = true;
-        const aud = parseFloat(audInput.value) || 0;
-        yenInput.value = audToJpy(aud);
+        const amount = parseFloat(homeInput.value) || 0;
+        yenInput.value = homeToJpy(amount);
         isUpdating = false;
     });
 }
@@ -174,23 +223,129 @@ document.querySelectorAll('.amount-btn').forEach(btn => {
     btn.addEventListener('click', () => {
         const yen = parseInt(btn.dataset.yen);
         if (yenInput) yenInput.value = yen;
-        if (audInput) audInput.value = jpyToAud(yen);
+        if (homeInput) homeInput.value = jpyToHome(yen);
+    });
+});
+
+// ===========================================
+// CURRENCY SETTINGS
+// ===========================================
+
+const currencyModal = document.getElementById('currencyModal');
+const currencyForm = document.getElementById('currencyForm');
+const homeCurrencySelect = document.getElementById('homeCurrencySelect');
+
+// Show the rate and date stored for the selected currency
+function fillCurrencyRate(code) {
+    const { rate, setAt, source } = CurrencyModule.getRate(code);
+    const { symbol } = CurrencyModule.getCurrency(code);
+    
+    currencyForm.elements.rate.value = Number(rate.toFixed(4));
+    document.getElementById('rateFieldLabel').textContent = `Yen per 1 ${code}`;
+    document.getElementById('displayHomeOption').textContent = `${code} (${symbol})`;
+    document.getElementById('currencyRateDate').textContent = setAt
+        ? `Rate ${source ? `from ${source}, ` : ''}${describeRateAge(code)}`
+        : 'Built-in estimate — enter today\'s rate';
+}
+
+function openCurrencySettings() {
+    homeCurrencySelect.innerHTML = CurrencyModule.getCurrencies()
+        .map(c => `<option value="${c.code}">${c.code} – ${escapeHtml(c.name)}</option>`)
+        .join('');
+    homeCurrencySelect.value = CurrencyModule.getHome();
+    currencyForm.elements.display.value = currentCurrency;
+    fillCurrencyRate(CurrencyModule.getHome());
+    currencyModal.classList.add('active');
+}
+
+if (currencyForm) {
+    homeCurrencySelect.addEventListener('change', () => {
+        fillCurrencyRate(homeCurrencySelect.value);
+    });
+    
+    currencyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const code = homeCurrencySelect.value;
+        const rate = parseFloat(currencyForm.elements.rate.value);
+        if (!(rate > 0)) {
+            showToast('Enter a rate above zero', '⚠️');
+            return;
+        }
+        
+        CurrencyModule.setHome(code);
+        // Date the rate when it changes or when the built-in estimate is confirmed
+        const stored = CurrencyModule.getRate(code);
+        if (rate !== Number(stored.rate.toFixed(4)) || !stored.setAt) {
+            CurrencyModule.setRate(code, rate);
+        }
+        currentCurrency = currencyForm.elements.display.value;
+        CurrencyModule.setDisplay(currentCurrency);
+        
+        updateCurrencyLabels();
+        updateAllPrices(currentCurrency);
+        renderBudget();
+        renderTaxFree();
+        currencyModal.classList.remove('active');
+        showToast(`${getRateSummary()} • ${describeRateAge()}`, '💱');
+    });
+}
+
+// Rates file import (e.g. exported from a bank feed); cached by CurrencyModule
+const ratesFileInput = document.getElementById('ratesFileInput');
+
+document.getElementById('importRatesBtn')?.addEventListener('click', () => {
+    ratesFileInput.click();
+});
+
+if (ratesFileInput) {
+    ratesFileInput.addEventListener('change', async () => {
+        const file = ratesFileInput.files[0];
+        ratesFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            const { count } = CurrencyModule.importRates(await file.text(), file.name);
+            updateCurrencyLabels();
+            updateAllPrices(currentCurrency);
+            renderBudget();
+            renderTaxFree();
+            showToast(`Loaded ${count} rates • ${describeRateAge()}`, '💱');
+        } catch (error) {
+            showToast(error.message, '⚠️');
+        }
     });
+}
+
+document.getElementById('openCurrencySettings')?.addEventListener('click', () => {
+    modal.classList.remove('active');
+    openCurrencySettings();
+});
+
+document.getElementById('closeCurrencyModal')?.addEventListener('click', () => {
+    currencyModal.classList.remove('active');
 });
 
+if (currencyModal) {
+    currencyModal.addEventListener('click', (e) => {
+        if (e.target === currencyModal) {
+            currencyModal.classList.remove('active');
+        }
+    });
+}
+
 // ===========================================
 // DAY TAB NAVIGATION
 // ===========================================
 
 const dayTabs = document.getElementById('dayTabs');
-const tabs = document.querySelectorAll('.tab');
-const sections = document.querySelectorAll('.day-section');
 
 let currentSection = 'day1';
 
 function updateActiveTab() {
     const scrollPos = window.scrollY;
-    let current = 'day1';
+    const sections = document.querySelectorAll('.day-section');
+    let current = sections.length ? sections[0].id : 'day1';
     
     sections.forEach(section => {
         const sectionTop = section.offsetTop;
@@ -202,7 +357,7 @@ function updateActiveTab() {
     if (current !== currentSection) {
         currentSection = current;
         
-        tabs.forEach(tab => {
+        dayTabs.querySelectorAll('.tab').forEach(tab => {
             const href = tab.getAttribute('href');
             if (href === `#${current}`) {
                 tab.classList.add('active');
@@ -215,16 +370,17 @@ function updateActiveTab() {
     }
 }
 
-// Smooth scroll for tabs
-tabs.forEach(tab => {
-    tab.addEventListener('click', (e) => {
-        e.preventDefault();
-        const targetId = tab.getAttribute('href');
-        const target = document.querySelector(targetId);
-        if (target) {
-            target.scrollIntoView({ behavior: 'smooth' });
-        }
-    });
+// Smooth scroll for tabs (delegated so rendered tabs are covered)
+dayTabs.addEventListener('click', (e) => {
+    const tab = e.target.closest('.tab');
+    if (!tab) return;
+    
+    e.preventDefault();
+    const targetId = tab.getAttribute('href');
+    const target = document.getElementById(targetId.slice(1));
+    if (target) {
+        target.scrollIntoView({ behavior: 'smooth' });
+    }
 });
 
 window.addEventListener('scroll', updateActiveTab, { passive: true });
@@ -233,25 +389,26 @@ window.addEventListener('scroll', updateActiveTab, { passive: true });
 // LOCATION TAG - COPY ADDRESS
 // ===========================================
 
-document.querySelectorAll('.tag.location').forEach(tag => {
-    tag.addEventListener('click', async () => {
-        const address = tag.dataset.address;
-        if (!address) return;
-        
-        try {
-            await navigator.clipboard.writeText(address);
-            showToast('Address copied!', '📍');
-        } catch (err) {
-            // Fallback
-            const textArea = document.createElement('textarea');
-            textArea.value = address;
-            document.body.appendChild(textArea);
-            textArea.select();
-            document.execCommand('copy');
-            document.body.removeChild(textArea);
-            showToast('Address copied!', '📍');
-        }
-    });
+document.addEventListener('click', async (e) => {
+    const tag = e.target.closest('.tag.location');
+    if (!tag) return;
+    
+    const address = tag.dataset.address;
+    if (!address) return;
+    
+    try {
+        await navigator.clipboard.writeText(address);
+        showToast('Address copied!', '📍');
+    } catch (err) {
+        // Fallback
+        const textArea = document.createElement('textarea');
+        textArea.value = address;
+        document.body.appendChild(textArea);
+        textArea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+        showToast('Address copied!', '📍');
+    }
 });
 
 // ===========================================
@@ -267,30 +424,81 @@ if (themeBtn) {
 // SHARE BUTTON
 // ===========================================
 
+// The link carries the whole trip (plan, edits, suggestions) in its fragment,
+// which never reaches a server
+async function buildShareLink() {
+    const trip = TripsModule.getActiveTrip();
+    const payload = TransferModule.buildExport(trip, ItineraryModule.getData(), SuggestionsModule.getAll());
+    const fragment = await TransferModule.encodeShare(payload);
+    return `${window.location.origin}${window.location.pathname}${window.location.search}#${fragment}`;
+}
+
+// Built ahead of the click: compressing inside it would use up the user
+// gesture Safari needs before it allows navigator.share
+let shareUrl = '';
+let shareUrlBuild = null;
+let shareUrlTimer = null;
+
+function prepareShareLink() {
+    const build = buildShareLink();
+    shareUrl = '';
+    shareUrlBuild = build;
+    build
+        .then(url => {
+            if (shareUrlBuild === build) shareUrl = url;
+        })
+        .catch(error => console.warn('[Share] Failed to build the share link:', error));
+    return build;
+}
+
+function scheduleShareLink() {
+    shareUrl = '';
+    clearTimeout(shareUrlTimer);
+    shareUrlTimer = setTimeout(prepareShareLink, 1000);
+}
+
 const shareBtn = document.getElementById('fabShare');
 if (shareBtn) {
+    prepareShareLink();
+    window.addEventListener('tripdatasaved', scheduleShareLink);
+    window.addEventListener('storage', scheduleShareLink);
+    
     shareBtn.addEventListener('click', async () => {
+        if (!shareUrl) {
+            // The trip changed since the link was built, so there's no gesture left to share with
+            try {
+                clearTimeout(shareUrlTimer);
+                copyLink(await prepareShareLink());
+            } catch (err) {
+                showToast("Couldn't create the share link", '⚠️');
+            }
+            return;
+        }
+        
+        const url = shareUrl;
         if (navigator.share) {
             try {
+                const trip = TripsModule.getActiveTrip();
+                const dayCount = ItineraryModule.getDays().length;
                 await navigator.share({
-                    title: 'Tokyo Adventure - 4 Day Itinerary',
-                    text: 'Check out this Tokyo family itinerary!',
-                    url: window.location.href
+                    title: `${trip.name} - ${dayCount} Day Itinerary`,
+                    text: `Check out our ${trip.name} itinerary!`,
+                    url
                 });
             } catch (err) {
                 if (err.name !== 'AbortError') {
-                    copyLink();
+                    copyLink(url);
                 }
             }
         } else {
-            copyLink();
+            copyLink(url);
         }
     });
 }
 
-async function copyLink() {
+async function copyLink(url) {
     try {
-        await navigator.clipboard.writeText(window.location.href);
+        await navigator.clipboard.writeText(url);
         showToast('Link copied!', '🔗');
     } catch (err) {
         showToast('Share via browser menu', '📤');
@@ -304,8 +512,30 @@ async function copyLink() {
 document.addEventListener('keydown', (e) => {
     // ESC to close modals
     if (e.key === 'Escape') {
+        ReorderModule.cancel();
+        
         if (suggestModal?.classList.contains('active')) {
             closeSuggestModalFn();
+        } else if (alternativeModal?.classList.contains('active')) {
+            closeAlternativeModal();
+        } else if (proposalsModal?.classList.contains('active')) {
+            closeProposals();
+        } else if (editorModal?.classList.contains('active')) {
+            closeEditorModalFn();
+        } else if (expenseModal?.classList.contains('active')) {
+            closeExpenseForm();
+        } else if (receiptModal?.classList.contains('active')) {
+            closeReceiptScanner();
+        } else if (boughtModal?.classList.contains('active')) {
+            closeBoughtForm();
+        } else if (wishModal?.classList.contains('active')) {
+            wishModal.classList.remove('active');
+        } else if (currencyModal?.classList.contains('active')) {
+            currencyModal.classList.remove('active');
+        } else if (partyModal?.classList.contains('active')) {
+            partyModal.classList.remove('active');
+        } else if (tripModal?.classList.contains('active')) {
+            tripModal.classList.remove('active');
         } else if (activityModal?.classList.contains('active')) {
             activityModal.classList.remove('active');
         } else if (modal?.classList.contains('active')) {
@@ -324,177 +554,281 @@ document.addEventListener('keydown', (e) => {
 // ACTIVITY DATABASE
 // ===========================================
 
-const activityDatabase = {
-    'sensoji': {
-        name: 'Senso-ji Temple & Nakamise Street',
-        emoji: '⛩️',
-        time: 'Day 1 • Morning',
-        website: 'https://www.senso-ji.jp/english/',
-        websiteName: 'Senso-ji Official Website',
-        address: '2-3-1 Asakusa, Taito City, Tokyo',
-        hours: 'Temple: 6:00 AM - 5:00 PM',
-        tips: 'Go before 8 AM for empty photos. Free entry.',
-        alternatives: ['meiji', 'nezu-shrine']
-    },
-    'kimono': {
-        name: 'Kimono Rental Experience',
-        emoji: '👘',
-        time: 'Day 1 • Optional',
-        website: 'https://www.klook.com/en-AU/activity/6925-kimono-rental-tokyo/',
-        websiteName: 'Book Kimono on Klook',
-        address: 'Various locations in Asakusa',
-        hours: 'Typically 9:00 AM - 6:00 PM',
-        tips: 'Miyabi Asakusa is highly rated. Book 2-3 days ahead.',
-        alternatives: ['tea-ceremony', 'calligraphy']
-    },
-    'mipig': {
-        name: 'Mipig Cafe Asakusa',
-        emoji: '🐷',
-        time: 'Day 1 • Afternoon',
-        website: 'https://mipig.cafe/en/',
-        websiteName: 'Mipig Cafe Official',
-        address: 'Chateau Amour 2F, 3-1-1 Asakusa',
-        hours: '9:00 AM - 7:00 PM daily',
-        tips: 'Book online 1+ week ahead.',
-        alternatives: ['owl-cafe', 'cat-cafe', 'hedgehog-cafe']
-    },
-    'kintsugi': {
-        name: 'Kintsugi Workshop',
-        emoji: '✨',
-        time: 'Day 1 • Afternoon',
-        website: 'https://kintsugi-kit.com/pages/kintsugi-workshops-in-tokyo',
-        websiteName: 'Tsugu Tsugu Kintsugi',
-        address: '1-1-2 Kaminarimon, Taito-ku',
-        hours: 'By reservation only',
-        tips: 'Check English interpreter availability.',
-        alternatives: ['pottery-class', 'origami-workshop']
-    },
-    'skytree': {
-        name: 'Tokyo Skytree',
-        emoji: '🗼',
-        time: 'Day 2 • Morning',
-        website: 'https://www.tokyo-skytree.jp/en/',
-        websiteName: 'Tokyo Skytree Official',
-        address: '1-1-2 Oshiage, Sumida City',
-        hours: '10:00 AM - 9:00 PM',
-        tips: 'Book timed tickets online. Weekdays less crowded.',
-        alternatives: ['shibuya-sky', 'tokyo-tower']
-    },
-    'sumida-aquarium': {
-        name: 'Sumida Aquarium',
-        emoji: '🐠',
-        time: 'Day 2 • Late Morning',
-        website: 'https://www.sumida-aquarium.com/en/',
-        websiteName: 'Sumida Aquarium Official',
-        address: 'Tokyo Skytree Town, 5F-6F',
-        hours: '10:00 AM - 8:00 PM',
-        tips: 'Combo ticket with Skytree saves money.',
-        alternatives: ['sunshine-aquarium', 'art-aquarium']
-    },
-    'origami': {
-        name: 'Origami Kaikan',
-        emoji: '🦢',
-        time: 'Day 2 • Afternoon',
-        website: 'https://www.origamikaikan.co.jp/eng/',
-        websiteName: 'Origami Kaikan Official',
-        address: '1-7-14 Yushima, Bunkyo City',
-        hours: '9:30 AM - 6:00 PM (closed Sundays)',
-        tips: 'Free entry. Great paper souvenirs.',
-        alternatives: ['paper-museum', 'craft-workshop']
-    },
-    'akihabara': {
-        name: 'Akihabara Electric Town',
-        emoji: '🤖',
-        time: 'Day 3 • Morning',
-        website: 'https://www.gotokyo.org/en/destinations/eastern-tokyo/akihabara/',
-        websiteName: 'GO TOKYO - Akihabara Guide',
-        address: 'Akihabara, Chiyoda City',
-        hours: 'Most shops 10:00 AM - 8:00 PM',
-        tips: 'Yodobashi opens 9:30 AM. Bring passport for tax-free.',
-        alternatives: ['nakano-broadway', 'ikebukuro-otome']
-    },
-    'teamlab': {
-        name: 'teamLab Planets',
-        emoji: '🌊',
-        time: 'Day 3 • Afternoon',
-        website: 'https://www.teamlab.art/e/planets/',
-        websiteName: 'teamLab Planets Official',
-        address: '6-1-16 Toyosu, Koto City',
-        hours: '9:00 AM - 10:00 PM (varies)',
-        tips: 'Wear shorts/roll-up pants. Book 1+ month ahead!',
-        alternatives: ['teamlab-borderless', 'mori-art-museum']
-    },
-    'meiji': {
-        name: 'Meiji Shrine',
-        emoji: '🌲',
-        time: 'Day 4 • Morning',
-        website: 'https://www.meijijingu.or.jp/en/',
-        websiteName: 'Meiji Jingu Official',
-        address: '1-1 Yoyogikamizonocho, Shibuya City',
-        hours: 'Sunrise to Sunset',
-        tips: 'More peaceful than Senso-ji. Beautiful forested walk.',
-        alternatives: ['sensoji', 'nezu-shrine']
-    },
-    'harajuku': {
-        name: 'Harajuku & Takeshita Street',
-        emoji: '🌈',
-        time: 'Day 4 • Late Morning',
-        website: 'https://www.gotokyo.org/en/destinations/western-tokyo/harajuku/',
-        websiteName: 'GO TOKYO - Harajuku Guide',
-        address: 'Jingumae, Shibuya City',
-        hours: 'Shops typically 10:00 AM - 8:00 PM',
-        tips: 'Try rainbow cotton candy & giant crepes!',
-        alternatives: ['shimokitazawa', 'daikanyama']
-    },
-    'shibuya': {
-        name: 'Shibuya Crossing & Shibuya Sky',
-        emoji: '🚶',
-        time: 'Day 4 • Afternoon',
-        website: 'https://www.shibuya-scramble-square.com/sky/en/',
-        websiteName: 'Shibuya Sky Official',
-        address: 'Shibuya Scramble Square',
-        hours: '10:00 AM - 10:30 PM',
-        tips: 'Sunset views are spectacular. Book 4-5 PM slot.',
-        alternatives: ['skytree', 'tokyo-tower']
-    },
-    'disney': {
-        name: 'Tokyo Disneyland',
-        emoji: '🏰',
-        time: 'Day 4 • Full Day Alternative',
-        website: 'https://www.tokyodisneyresort.jp/en/tdl/',
-        websiteName: 'Tokyo Disney Resort Official',
-        address: '1-1 Maihama, Urayasu, Chiba',
-        hours: 'Typically 9:00 AM - 9:00 PM',
-        tips: 'Book tickets well ahead. Download app for wait times.',
-        alternatives: ['disneysea', 'sanrio-puroland']
+// Both tables are derived from the itinerary model (itinerary-data.js)
+const activityDatabase = ItineraryModule.buildActivityDatabase();
+
+const alternativesDatabase = { ...ItineraryModule.getAlternatives() };
+
+// ===========================================
+// ITINERARY RENDERING
+// ===========================================
+
+const daySectionsContainer = document.getElementById('daySections');
+
+function renderPriceTag(price) {
+    const range = price.jpyEnd ? ` data-jpy-end="${price.jpyEnd}" data-range="true"` : '';
+    const label = price.label ? `${escapeHtml(price.label)} ` : '';
+    const approx = price.approx ? '~' : '';
+    const unit = { person: '/person', adult: '/adult' }[price.unit] || '';
+    
+    return `<span class="tag price">${label}${approx}<span class="price-display" data-jpy="${price.jpy}"${range}>${formatPrice(price.jpy, price.jpyEnd, currentCurrency)}</span>${unit}</span>`;
+}
+
+// What a per-person or per-adult price comes to for the whole party
+function renderPartyTotal(price) {
+    const party = ItineraryModule.getParty();
+    
+    return `<span class="tag party-total" title="${escapeHtml(BudgetModule.describeParty(party))}">👨‍👩‍👧 ${renderCost(BudgetModule.costFor(price, party))}</span>`;
+}
+
+function renderActivityTime(activity) {
+    const times = activity.isAlternative ? null : ScheduleModule.getTimes(activity);
+    if (!times) {
+        return `<span class="activity-time">${escapeHtml(activity.displayTime || activity.slot)}</span>`;
     }
-};
+    
+    return `
+        <span class="activity-time">${ScheduleModule.formatRange(activity)}</span>
+        <span class="activity-duration">${ScheduleModule.formatDuration(times.duration)}</span>
+    `;
+}
 
-const alternativesDatabase = {
-    'meiji': { name: 'Meiji Shrine', emoji: '🌲', desc: 'Peaceful forested shrine', cost: 'Free', time: '1-2 hours' },
-    'nezu-shrine': { name: 'Nezu Shrine', emoji: '⛩️', desc: 'Beautiful torii tunnel', cost: 'Free', time: '1 hour' },
-    'tea-ceremony': { name: 'Tea Ceremony', emoji: '🍵', desc: 'Traditional tea experience', cost: '¥3-5k', time: '1-2 hours' },
-    'calligraphy': { name: 'Calligraphy Class', emoji: '✍️', desc: 'Learn brush calligraphy', cost: '¥3-4k', time: '1-2 hours' },
-    'owl-cafe': { name: 'Owl Cafe', emoji: '🦉', desc: 'Pet owls in Harajuku', cost: '¥1.5-2k', time: '1 hour' },
-    'cat-cafe': { name: 'Cat Cafe', emoji: '🐱', desc: 'Relax with cats', cost: '¥1-1.5k', time: '1 hour' },
-    'hedgehog-cafe': { name: 'Hedgehog Cafe', emoji: '🦔', desc: 'Cute hedgehog interaction', cost: '¥1.4-1.8k', time: '30-60 min' },
-    'pottery-class': { name: 'Pottery Workshop', emoji: '🏺', desc: 'Make your own ceramics', cost: '¥3.5-5k', time: '2 hours' },
-    'origami-workshop': { name: 'Origami Workshop', emoji: '📄', desc: 'Hands-on origami class', cost: '¥1.5-3k', time: '1-2 hours' },
-    'shibuya-sky': { name: 'Shibuya Sky', emoji: '🌃', desc: '360° rooftop observation', cost: '¥2,200', time: '1 hour' },
-    'tokyo-tower': { name: 'Tokyo Tower', emoji: '🗼', desc: 'Iconic red tower', cost: '¥1.2-3k', time: '1-2 hours' },
-    'sunshine-aquarium': { name: 'Sunshine Aquarium', emoji: '🦭', desc: 'Rooftop aquarium', cost: '¥2,600', time: '2 hours' },
-    'art-aquarium': { name: 'Art Aquarium', emoji: '🐠', desc: 'Goldfish art in Ginza', cost: '¥2,400', time: '1-2 hours' },
-    'paper-museum': { name: 'Paper Museum', emoji: '📜', desc: 'Japanese paper history', cost: '¥400', time: '1-2 hours' },
-    'craft-workshop': { name: 'Craft Workshop', emoji: '🎨', desc: 'Traditional crafts', cost: '¥2-5k', time: '1-2 hours' },
-    'nakano-broadway': { name: 'Nakano Broadway', emoji: '🎌', desc: 'Vintage collectibles', cost: 'Free', time: '2-3 hours' },
-    'ikebukuro-otome': { name: 'Ikebukuro Otome Road', emoji: '💖', desc: 'Anime shops', cost: 'Free', time: '2-3 hours' },
-    'teamlab-borderless': { name: 'teamLab Borderless', emoji: '✨', desc: 'Digital art museum', cost: '¥3.8-5.4k', time: '2-3 hours' },
-    'mori-art-museum': { name: 'Mori Art Museum', emoji: '🖼️', desc: 'Contemporary art', cost: '¥2,000', time: '2-3 hours' },
-    'shimokitazawa': { name: 'Shimokitazawa', emoji: '🎸', desc: 'Bohemian vintage area', cost: 'Free', time: '2-3 hours' },
-    'daikanyama': { name: 'Daikanyama', emoji: '☕', desc: 'Upscale T-Site bookstore', cost: 'Free', time: '2 hours' },
-    'disneysea': { name: 'Tokyo DisneySea', emoji: '🚢', desc: 'Unique nautical Disney', cost: '¥8.4-9.4k', time: 'Full day' },
-    'sanrio-puroland': { name: 'Sanrio Puroland', emoji: '🎀', desc: 'Hello Kitty theme park', cost: '¥3.6-4.9k', time: '4-6 hours' }
-};
+function renderScheduleWarnings(warnings) {
+    return `
+        <ul class="schedule-warnings">
+            ${warnings.map(w => `<li class="schedule-warning ${w.type}">⚠️ ${escapeHtml(w.message)}</li>`).join('')}
+        </ul>
+    `;
+}
+
+function renderActivityCard(activity, warnings = []) {
+    const footer = [];
+    
+    if (activity.address && activity.distance) {
+        footer.push(`<span class="tag location" data-address="${escapeHtml(activity.address)}">📍 ${escapeHtml(activity.distance)}</span>`);
+    }
+    if (activity.price) {
+        footer.push(renderPriceTag(activity.price));
+        if (activity.price.unit !== 'group') footer.push(renderPartyTotal(activity.price));
+    }
+    (activity.tags || []).forEach(tag => {
+        footer.push(`<span class="tag${tag.type ? ` ${escapeHtml(tag.type)}` : ''}">${escapeHtml(tag.text)}</span>`);
+    });
+    
+    const badge = activity.badge
+        ? `<span class="activity-badge ${escapeHtml(activity.badge.type)}">${escapeHtml(activity.badge.label)}</span>`
+        : '';
+    const link = activity.link
+        ? `<a href="${escapeHtml(activity.link.href)}" class="activity-link" target="_blank">${escapeHtml(activity.link.label)} →</a>`
+        : '';
+    
+    return `
+        <article class="activity-card${activity.isAlternative ? ' alt-option' : ''}${warnings.length ? ' has-conflict' : ''}" data-activity="${escapeHtml(activity.id)}">
+            <div class="activity-header">
+                ${renderActivityTime(activity)}
+                ${badge}
+            </div>
+            <h3>${escapeHtml(activity.emoji)} ${escapeHtml(activity.title || activity.name)}</h3>
+            ${activity.description ? `<p>${escapeHtml(activity.description)}</p>` : ''}
+            <div class="activity-footer">
+                ${footer.join('')}
+            </div>
+            ${link}
+            ${activity.swappedFrom ? `
+                <div class="swapped-note">
+                    <span>Swapped in for ${escapeHtml(activity.swappedFrom.activity.emoji)} ${escapeHtml(activity.swappedFrom.activity.name)}</span>
+                    <button class="undo-swap" data-activity="${escapeHtml(activity.id)}">↩ Undo</button>
+                </div>
+            ` : ''}
+            ${warnings.length ? renderScheduleWarnings(warnings) : ''}
+        </article>
+    `;
+}
+
+function renderDaySection(day) {
+    const tips = day.tips && day.tips.length > 0
+        ? `
+            <div class="day-tips">
+                <h4>💡 Pro Tips</h4>
+                <ul>
+                    ${day.tips.map(tip => `<li>${escapeHtml(tip)}</li>`).join('')}
+                </ul>
+            </div>
+        `
+        : '';
+    
+    const startDate = TripsModule.getActiveTrip().startDate;
+    const warnings = ScheduleModule.analyzeDay(day, startDate);
+    const date = ScheduleModule.getDayDate(startDate, day.number);
+    
+    return `
+        <section id="${escapeHtml(day.id)}" class="day-section">
+            <div class="day-intro">
+                <div class="day-badge">Day ${day.number}${date ? ` • ${ScheduleModule.formatDayDate(date)}` : ''}</div>
+                <h2>${escapeHtml(day.title)}</h2>
+                <p>${escapeHtml(day.summary)}</p>
+                <button class="day-calendar-btn" data-day="${escapeHtml(day.id)}">📅 Add day to calendar</button>
+            </div>
+            <div class="activity-list" data-day="${escapeHtml(day.id)}">
+                ${day.activities.map(activity => renderActivityCard(activity, warnings[activity.id])).join('')}
+            </div>
+            <button class="add-activity-btn" data-day="${escapeHtml(day.id)}">＋ Add activity</button>
+            ${tips}
+        </section>
+    `;
+}
+
+function renderDayTabs() {
+    dayTabs.querySelectorAll('.tab:not([data-day="tips"])').forEach(tab => tab.remove());
+    
+    const tipsTab = dayTabs.querySelector('.tab[data-day="tips"]');
+    const html = ItineraryModule.getDays().map(day => `
+        <a href="#${escapeHtml(day.id)}" class="tab${day.id === currentSection ? ' active' : ''}" data-day="${day.number}">
+            <span class="tab-num">${day.number}</span>
+            <span class="tab-label">${escapeHtml(day.tab)}</span>
+        </a>
+    `).join('');
+    
+    tipsTab.insertAdjacentHTML('beforebegin', html);
+}
+
+function renderAmount(jpy) {
+    return `<span class="price-display" data-jpy="${jpy}">${formatPrice(jpy, null, currentCurrency)}</span>`;
+}
+
+// Low–high cost from BudgetModule, collapsed to one amount when they match
+function renderCost(cost) {
+    if (cost.low === cost.high) return renderAmount(cost.low);
+    return `<span class="price-display" data-jpy="${cost.low}" data-jpy-end="${cost.high}" data-range="true">${formatPrice(cost.low, cost.high, currentCurrency)}</span>`;
+}
+
+function renderEstimate(estimate) {
+    return `~${renderCost(estimate)}`;
+}
+
+// Alternatives carry a full price; ones without fall back to their cost text
+function getAlternativePrice(alt) {
+    return alt.price || BudgetModule.parseCost(alt.cost);
+}
+
+// Prices of the leading proposals, so the estimate covers either choice
+function getSuggestionPrices() {
+    const swaps = {};
+    Object.keys(SuggestionsModule.getAll()).forEach(activityId => {
+        const alt = alternativesDatabase[SuggestionsModule.getLeader(activityId).alternativeId];
+        const price = alt ? getAlternativePrice(alt) : null;
+        if (price) swaps[activityId] = price;
+    });
+    return swaps;
+}
+
+function renderBudgetItem(label, estimate, spent) {
+    const over = estimate && spent > estimate.high ? ' over' : '';
+    
+    return `
+        <div class="budget-item">
+            <span class="amount">${estimate ? renderEstimate(estimate) : '—'}</span>
+            <span class="label">${escapeHtml(label)}</span>
+            <span class="spent${over}">Spent ${renderAmount(spent)}</span>
+        </div>
+    `;
+}
+
+function renderBudgetDays(estimate, spent) {
+    const rows = ItineraryModule.getDays().map(day => `
+        <div class="budget-day">
+            <span>Day ${day.number} • ${escapeHtml(day.tab)}</span>
+            <span>${renderEstimate(estimate.byDay[day.id])}</span>
+            <span class="spent${spent.byDay[day.id] > estimate.byDay[day.id].high ? ' over' : ''}">${renderAmount(spent.byDay[day.id] || 0)}</span>
+        </div>
+    `);
+    if (spent.byDay['']) {
+        rows.push(`
+            <div class="budget-day">
+                <span>Not tied to a day</span>
+                <span>—</span>
+                <span class="spent">${renderAmount(spent.byDay[''])}</span>
+            </div>
+        `);
+    }
+    
+    return `
+        <div class="budget-day header">
+            <span>Day</span>
+            <span>Estimate</span>
+            <span>Spent</span>
+        </div>
+        ${rows.join('')}
+    `;
+}
+
+function renderBudget() {
+    const estimate = BudgetModule.estimateTrip(ItineraryModule.getData(), getSuggestionPrices());
+    const spent = ExpensesModule.summarize();
+    
+    // Wishlist prices are planned shopping that isn't tied to a day
+    const wishlist = WishlistModule.summarize();
+    if (wishlist.high > 0) {
+        const shopping = estimate.byCategory.Shopping || { low: 0, high: 0 };
+        estimate.byCategory.Shopping = { low: shopping.low + wishlist.low, high: shopping.high + wishlist.high };
+        estimate.low += wishlist.low;
+        estimate.high += wishlist.high;
+    }
+    const homeCurrency = CurrencyModule.getCurrency();
+    const homeAmount = jpy => `${homeCurrency.symbol}${formatNumber(Math.round(CurrencyModule.fromJpy(jpy)))}`;
+    const homeTotal = estimate.high !== estimate.low
+        ? `${homeAmount(estimate.low)}-${homeAmount(estimate.high)}`
+        : homeAmount(estimate.low);
+    
+    // A tile for every category with an estimate or some spend
+    const categories = ExpensesModule.getCategories()
+        .map(category => category.label)
+        .filter(label => estimate.byCategory[label] || spent.byCategory[label]);
+    
+    document.getElementById('budgetNote').textContent = `(${BudgetModule.describeParty(ItineraryModule.getParty())})`;
+    document.getElementById('budgetGrid').innerHTML = categories
+        .map(label => renderBudgetItem(label, estimate.byCategory[label] || null, spent.byCategory[label] || 0))
+        .join('') + `
+        <div class="budget-item total">
+            <span class="amount">${renderEstimate(estimate)}</span>
+            <span class="label">Total (~${homeTotal} ${homeCurrency.code})</span>
+            <span class="spent${spent.total > estimate.high ? ' over' : ''}">Spent ${renderAmount(spent.total)}</span>
+        </div>
+    `;
+    document.getElementById('budgetDays').innerHTML = renderBudgetDays(estimate, spent);
+    renderExpenseList();
+}
+
+function renderItinerary() {
+    daySectionsContainer.innerHTML = ItineraryModule.getDays().map(renderDaySection).join('');
+    renderDayTabs();
+    renderBudget();
+}
+
+// Rebuild the lookup tables in place so existing references stay valid
+function syncActivityDatabase() {
+    const latest = ItineraryModule.buildActivityDatabase();
+    Object.keys(activityDatabase).forEach(id => {
+        if (!latest[id]) delete activityDatabase[id];
+    });
+    Object.assign(activityDatabase, latest);
+    
+    const alternatives = ItineraryModule.getAlternatives();
+    Object.keys(alternativesDatabase).forEach(id => {
+        if (!alternatives[id]) delete alternativesDatabase[id];
+    });
+    Object.assign(alternativesDatabase, alternatives);
+}
+
+// Re-render everything that depends on the itinerary after a change
+function refreshItinerary() {
+    syncActivityDatabase();
+    renderItinerary();
+    renderSuggestionBadges();
+    observeRevealElements(daySectionsContainer);
+    updateActiveTab();
+    updateLiveMode();
+}
 
 // ===========================================
 // ACTIVITY MODAL
@@ -511,20 +845,23 @@ function openActivityModal(activityId) {
     currentActivityId = activityId;
 
     // Populate header
-    document.getElementById('activityModalTitle').innerHTML = `${activity.emoji} ${activity.name}`;
+    document.getElementById('activityModalTitle').textContent = `${activity.emoji} ${activity.name}`;
     document.getElementById('activityModalTime').textContent = activity.time;
 
     // Populate venue link
     const venueLink = document.getElementById('venueLink');
-    venueLink.href = activity.website;
-    document.getElementById('venueLinkText').textContent = activity.websiteName;
+    venueLink.style.display = activity.website ? '' : 'none';
+    venueLink.href = activity.website || '#';
+    document.getElementById('venueLinkText').textContent = activity.websiteName || 'Visit Website';
 
     // Populate venue info
-    document.getElementById('venueInfo').innerHTML = `
-        <div><strong>📍 Address:</strong> ${activity.address}</div>
-        <div><strong>🕐 Hours:</strong> ${activity.hours}</div>
-        <div><strong>💡 Tip:</strong> ${activity.tips}</div>
-    `;
+    document.getElementById('venueInfo').innerHTML = renderVenueInfo(activity);
+    
+    // Hide the venue block entirely for plain entries like meals
+    document.querySelector('#activityModal .venue-section').style.display =
+        activity.website || activity.address || activity.hours || activity.tips ? '' : 'none';
+
+    renderTicketBreakdown(activity.price);
 
     // Populate alternatives
     const altList = document.getElementById('alternativesList');
@@ -533,12 +870,13 @@ function openActivityModal(activityId) {
             const alt = alternativesDatabase[altId];
             if (!alt) return '';
             return `
-                <div class="alt-card" data-alt-id="${altId}">
-                    <h5>${alt.emoji} ${alt.name}</h5>
-                    <p>${alt.desc}</p>
+                <div class="alt-card" data-alt-id="${escapeHtml(altId)}">
+                    <h5>${escapeHtml(alt.emoji || '')} ${escapeHtml(alt.name)}</h5>
+                    ${alt.desc ? `<p>${escapeHtml(alt.desc)}</p>` : ''}
                     <div class="alt-meta">
-                        <span class="alt-tag cost">${alt.cost}</span>
-                        <span class="alt-tag">⏱️ ${alt.time}</span>
+                        ${alt.cost ? `<span class="alt-tag cost">${escapeHtml(alt.cost)}</span>` : ''}
+                        ${alt.time ? `<span class="alt-tag">⏱️ ${escapeHtml(alt.time)}</span>` : ''}
+                        <button type="button" class="alt-details">ℹ️ Details</button>
                     </div>
                 </div>
             `;
@@ -546,9 +884,13 @@ function openActivityModal(activityId) {
         
         // Add click handlers to alternatives
         altList.querySelectorAll('.alt-card').forEach(card => {
-            card.addEventListener('click', () => {
+            card.addEventListener('click', (e) => {
                 const altId = card.dataset.altId;
-                openSuggestModal(currentActivityId, altId);
+                if (e.target.closest('.alt-details')) {
+                    openAlternativeModal(currentActivityId, altId);
+                } else {
+                    openSuggestModal(currentActivityId, altId);
+                }
             });
         });
     } else {
@@ -558,6 +900,58 @@ function openActivityModal(activityId) {
     activityModal.classList.add('active');
 }
 
+// Address (with a copy button), hours and tip, skipping any the place doesn't have
+function renderVenueInfo(place) {
+    return [
+        place.address && `
+            <div class="venue-address">
+                <strong>📍 Address:</strong> ${escapeHtml(place.address)}
+                <button type="button" class="copy-address" data-address="${escapeHtml(place.address)}">📋 Copy</button>
+            </div>
+        `,
+        place.hours && `<div><strong>🕐 Hours:</strong> ${escapeHtml(place.hours)}</div>`,
+        place.tips && `<div><strong>💡 Tip:</strong> ${escapeHtml(place.tips)}</div>`
+    ].filter(Boolean).join('');
+}
+
+async function copyAddress(address) {
+    try {
+        await navigator.clipboard.writeText(address);
+        showToast('Address copied!', '📋');
+    } catch (err) {
+        showToast("Couldn't copy the address", '⚠️');
+    }
+}
+
+document.querySelectorAll('.venue-info').forEach(info => {
+    info.addEventListener('click', (e) => {
+        const btn = e.target.closest('.copy-address');
+        if (btn) copyAddress(btn.dataset.address);
+    });
+});
+
+// Ticket prices for each member of the party, following the child age bands
+function renderTicketBreakdown(price, sectionId = 'ticketSection', listId = 'ticketList') {
+    const section = document.getElementById(sectionId);
+    section.style.display = price ? '' : 'none';
+    if (!price) return;
+    
+    const party = ItineraryModule.getParty();
+    const lines = BudgetModule.breakdown(price, party);
+    
+    document.getElementById(listId).innerHTML = lines.map(line => `
+        <div class="ticket-line">
+            <span>${escapeHtml(line.label)}${line.note ? ` <small>${escapeHtml(line.note)}</small>` : ''}</span>
+            <span>${renderCost(line)}</span>
+        </div>
+    `).join('') + (lines.length > 1 ? `
+        <div class="ticket-line total">
+            <span>Party total</span>
+            <span>${renderCost(BudgetModule.costFor(price, party))}</span>
+        </div>
+    ` : '');
+}
+
 if (closeActivityModal) {
     closeActivityModal.addEventListener('click', () => {
         activityModal.classList.remove('active');
@@ -572,6 +966,64 @@ if (activityModal) {
     });
 }
 
+// ===========================================
+// ALTERNATIVE MODAL
+// ===========================================
+
+const alternativeModal = document.getElementById('alternativeModal');
+let currentAlternative = null;
+
+function openAlternativeModal(activityId, alternativeId) {
+    const alt = alternativesDatabase[alternativeId];
+    if (!alt) return;
+    
+    currentAlternative = { activityId, alternativeId };
+    const activity = activityDatabase[activityId];
+    
+    document.getElementById('alternativeModalTitle').textContent = `${alt.emoji || ''} ${alt.name}`;
+    document.getElementById('alternativeModalMeta').textContent = [
+        activity && `Instead of ${activity.name}`,
+        alt.time && `⏱️ ${alt.time}`,
+        alt.cost
+    ].filter(Boolean).join(' • ');
+    document.getElementById('alternativeModalDesc').textContent = alt.desc || '';
+    
+    // Places without an official site link to a map search instead
+    const query = [alt.name, alt.address].filter(Boolean).join(', ');
+    document.getElementById('altVenueLink').href = alt.website ||
+        `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}`;
+    document.getElementById('altVenueLinkText').textContent = alt.website
+        ? alt.websiteName || 'Visit Website'
+        : 'Find on Google Maps';
+    document.getElementById('altVenueInfo').innerHTML = renderVenueInfo(alt);
+    
+    // Free places have nothing to break down
+    const price = getAlternativePrice(alt);
+    renderTicketBreakdown(price && price.jpy > 0 ? price : null, 'altTicketSection', 'altTicketList');
+    
+    alternativeModal.classList.add('active');
+}
+
+function closeAlternativeModal() {
+    alternativeModal.classList.remove('active');
+    currentAlternative = null;
+}
+
+document.getElementById('closeAlternativeModal')?.addEventListener('click', closeAlternativeModal);
+
+if (alternativeModal) {
+    alternativeModal.addEventListener('click', (e) => {
+        if (e.target === alternativeModal) {
+            closeAlternativeModal();
+        }
+    });
+}
+
+document.getElementById('altSuggestBtn')?.addEventListener('click', () => {
+    if (!currentAlternative) return;
+    openSuggestModal(currentAlternative.activityId, currentAlternative.alternativeId);
+});
+
 // ===========================================
 // SUGGEST MODAL
 // ===========================================
@@ -608,33 +1060,43 @@ if (suggestModal) {
     });
 }
 
-// Who buttons
-document.querySelectorAll('.who-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        if (!pendingSuggestion) return;
+// Who buttons (one per traveller)
+const whoButtons = document.getElementById('whoButtons');
+
+function renderWhoButtons() {
+    whoButtons.innerHTML = TravellersModule.getTravellers().map(traveller => `
+        <button class="who-btn" data-who="${escapeHtml(traveller.name)}" style="--traveller-color: ${traveller.color}">
+            <span class="who-avatar">${escapeHtml(traveller.emoji)}</span>
+            <span>${escapeHtml(traveller.name)}</span>
+        </button>
+    `).join('');
+}
+
+if (whoButtons) {
+    whoButtons.addEventListener('click', (e) => {
+        const btn = e.target.closest('.who-btn');
+        if (!btn || !pendingSuggestion) return;
         
         const who = btn.dataset.who;
         const { activityId, alternativeId } = pendingSuggestion;
-        
-        // Save suggestion
-        activitySuggestions[activityId] = {
-            alternativeId,
-            suggestedBy: who,
-            timestamp: Date.now()
-        };
-        
-        localStorage.setItem('tokyoSuggestions', JSON.stringify(activitySuggestions));
+        const { created } = SuggestionsModule.propose(activityId, alternativeId, who);
+        if (!CollabModule.getViewer()) {
+            CollabModule.setViewer(who);
+            renderPresence();
+        }
         
         // Update UI
         renderSuggestionBadges();
+        renderBudget();
         
         // Close modals
         closeSuggestModalFn();
+        closeAlternativeModal();
         activityModal.classList.remove('active');
         
-        showToast(`${who} suggested a new activity!`, '✨');
+        showToast(created ? `${who} suggested a new activity!` : `${who} backed this suggestion`, '✨');
     });
-});
+}
 
 // ===========================================
 // SUGGESTION BADGES
@@ -643,30 +1105,35 @@ document.querySelectorAll('.who-btn').forEach(btn => {
 function renderSuggestionBadges() {
     // Clear existing suggestion UI
     document.querySelectorAll('.activity-card').forEach(card => {
-        card.classList.remove('has-suggestion', 'mat', 'skye');
+        card.classList.remove('has-suggestion');
+        card.style.removeProperty('--traveller-color');
         const existingBadge = card.querySelector('.suggestion-badge');
         if (existingBadge) existingBadge.remove();
         const existingSuggested = card.querySelector('.suggested-activity');
         if (existingSuggested) existingSuggested.remove();
     });
     
-    // Add badges for suggestions
-    Object.entries(activitySuggestions).forEach(([activityId, suggestion]) => {
-        const card = document.querySelector(`.activity-card[data-activity="${activityId}"]`);
+    // Badge the leading proposal for each activity
+    Object.keys(SuggestionsModule.getAll()).forEach(activityId => {
+        const card = findActivityCard(activityId);
         if (!card) return;
         
+        const proposals = SuggestionsModule.getProposals(activityId);
+        const suggestion = SuggestionsModule.getLeader(activityId);
         const alt = alternativesDatabase[suggestion.alternativeId];
         if (!alt) return;
         
-        const whoClass = suggestion.suggestedBy.toLowerCase();
-        card.classList.add('has-suggestion', whoClass);
+        // Someone since removed from the trip keeps the default purple
+        const traveller = TravellersModule.getTraveller(suggestion.suggestedBy);
+        card.classList.add('has-suggestion');
+        if (traveller) card.style.setProperty('--traveller-color', traveller.color);
         
         // Add badge to header
         const header = card.querySelector('.activity-header');
         if (header) {
             const badge = document.createElement('span');
-            badge.className = `suggestion-badge ${whoClass}`;
-            badge.innerHTML = `${suggestion.suggestedBy === 'Mat' ? '👨' : '👩'} ${suggestion.suggestedBy}'s pick`;
+            badge.className = 'suggestion-badge';
+            badge.textContent = `${traveller ? traveller.emoji : '🙋'} ${suggestion.suggestedBy}'s pick`;
             header.appendChild(badge);
         }
         
@@ -675,13 +1142,34 @@ function renderSuggestionBadges() {
         suggestedDiv.className = 'suggested-activity';
         suggestedDiv.innerHTML = `
             <div class="suggested-activity-header">
-                <span>Suggested instead:</span>
-                <button class="clear-suggestion" data-activity="${activityId}">✕ Clear</button>
+                <span>${proposals.length > 1 ? `Leading of ${proposals.length} proposals` : 'Suggested instead'}:</span>
+                <div>
+                    <button class="accept-suggestion" data-activity="${escapeHtml(activityId)}">✓ Accept</button>
+                    <button class="open-proposals" data-activity="${escapeHtml(activityId)}">🗳️ Vote</button>
+                    <button class="clear-suggestion" data-activity="${escapeHtml(activityId)}">✕ Clear</button>
+                </div>
             </div>
-            <div class="suggested-name">${alt.emoji} ${alt.name}</div>
+            <div class="suggested-name">${escapeHtml(alt.emoji || '')} ${escapeHtml(alt.name)}</div>
+            <div class="suggested-tally">${describeTally(suggestion)}</div>
         `;
         card.appendChild(suggestedDiv);
         
+        // The rest of the block opens the suggested place's details
+        suggestedDiv.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openAlternativeModal(activityId, suggestion.alternativeId);
+        });
+        
+        suggestedDiv.querySelector('.accept-suggestion').addEventListener('click', (e) => {
+            e.stopPropagation();
+            acceptSuggestion(activityId, suggestion.id);
+        });
+        
+        suggestedDiv.querySelector('.open-proposals').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openProposals(activityId);
+        });
+        
         // Add clear handler
         suggestedDiv.querySelector('.clear-suggestion').addEventListener('click', (e) => {
             e.stopPropagation();
@@ -691,26 +1179,1763 @@ function renderSuggestionBadges() {
 }
 
 function clearSuggestion(activityId) {
-    delete activitySuggestions[activityId];
-    localStorage.setItem('tokyoSuggestions', JSON.stringify(activitySuggestions));
+    const count = SuggestionsModule.getProposals(activityId).length;
+    if (count > 1 && !confirm(`Clear all ${count} proposals for this slot?`)) return;
+    
+    SuggestionsModule.clearActivity(activityId);
     renderSuggestionBadges();
+    renderBudget();
     showToast('Suggestion cleared', '🗑️');
 }
 
+// Swap a proposal into the plan; the slot's other proposals are settled
+// with it and come back if the swap is undone
+function acceptSuggestion(activityId, proposalId) {
+    const proposal = SuggestionsModule.getProposal(activityId, proposalId);
+    const alt = proposal && alternativesDatabase[proposal.alternativeId];
+    if (!alt) return;
+    
+    const replacement = ItineraryModule.swapActivity(activityId, proposal.alternativeId, {
+        price: getAlternativePrice(alt),
+        proposals: SuggestionsModule.getProposals(activityId)
+    });
+    if (!replacement) return;
+    
+    SuggestionsModule.clearActivity(activityId);
+    refreshItinerary();
+    showToast(`${alt.name} is in the plan`, '🔁');
+}
+
+function undoSwap(activityId) {
+    const restored = ItineraryModule.undoSwap(activityId);
+    if (!restored) return;
+    
+    SuggestionsModule.setProposals(restored.activity.id, restored.proposals);
+    refreshItinerary();
+    showToast(`${restored.activity.name} is back`, '↩️');
+}
+
+function describeTally(proposal) {
+    const votes = SuggestionsModule.tally(proposal);
+    const parts = [`👍 ${votes.for}`, `👎 ${votes.against}`];
+    if (proposal.comments.length > 0) parts.push(`💬 ${proposal.comments.length}`);
+    return parts.join(' · ');
+}
+
+// ===========================================
+// PROPOSALS (votes and comments)
+// ===========================================
+
+const proposalsModal = document.getElementById('proposalsModal');
+const proposalList = document.getElementById('proposalList');
+let proposalsActivityId = null;
+
+// Each traveller's vote cycles: none → for → against → none
+const nextVote = { 0: 1, 1: -1, '-1': 0 };
+
+function renderVoteChip(proposal, traveller) {
+    const value = proposal.votes[traveller.name] || 0;
+    const state = value > 0 ? 'for' : value < 0 ? 'against' : '';
+    const mark = value > 0 ? ' 👍' : value < 0 ? ' 👎' : '';
+    return `<button type="button" class="vote-chip ${state}" data-who="${escapeHtml(traveller.name)}" data-value="${value}" style="--traveller-color: ${traveller.color}">${escapeHtml(traveller.emoji)} ${escapeHtml(traveller.name)}${mark}</button>`;
+}
+
+function renderProposal(proposal, leaderId) {
+    const alt = alternativesDatabase[proposal.alternativeId];
+    const travellers = TravellersModule.getTravellers();
+    
+    return `
+        <li class="proposal ${proposal.id === leaderId ? 'leading' : ''}" data-proposal="${escapeHtml(proposal.id)}">
+            <div class="proposal-header">
+                <span class="proposal-name">${alt ? `${escapeHtml(alt.emoji || '')} ${escapeHtml(alt.name)}` : escapeHtml(proposal.alternativeId)}</span>
+                ${proposal.id === leaderId ? '<span class="proposal-leading">Leading</span>' : ''}
+            </div>
+            <div class="proposal-meta">Suggested by ${escapeHtml(proposal.suggestedBy || 'someone')} · ${describeTally(proposal)}</div>
+            <div class="proposal-votes">${travellers.map(traveller => renderVoteChip(proposal, traveller)).join('')}</div>
+            <ul class="proposal-comments">
+                ${proposal.comments.map(comment => `<li><strong>${escapeHtml(comment.by)}</strong> ${escapeHtml(comment.text)}</li>`).join('')}
+            </ul>
+            <form class="proposal-comment-form" autocomplete="off">
+                <select name="by" aria-label="Comment as">
+                    ${travellers.map(traveller => `<option value="${escapeHtml(traveller.name)}">${escapeHtml(traveller.emoji)} ${escapeHtml(traveller.name)}</option>`).join('')}
+                </select>
+                <input type="text" name="text" maxlength="${SuggestionsModule.getMaxCommentLength()}" placeholder="Add a comment" required>
+                <button type="submit" class="editor-btn secondary">Post</button>
+            </form>
+            <div class="proposal-actions">
+                <button type="button" class="proposal-accept editor-btn primary">Accept</button>
+                <button type="button" class="proposal-remove">Withdraw proposal</button>
+            </div>
+        </li>
+    `;
+}
+
+function renderProposals() {
+    const proposals = SuggestionsModule.getProposals(proposalsActivityId);
+    if (proposals.length === 0) {
+        closeProposals();
+        return;
+    }
+    
+    const activity = activityDatabase[proposalsActivityId];
+    const leader = SuggestionsModule.getLeader(proposalsActivityId);
+    document.getElementById('proposalsTitle').textContent = `🗳️ Instead of ${activity ? activity.name : 'this activity'}`;
+    proposalList.innerHTML = proposals.map(proposal => renderProposal(proposal, leader.id)).join('');
+}
+
+function openProposals(activityId) {
+    proposalsActivityId = activityId;
+    renderProposals();
+    proposalsModal.classList.add('active');
+}
+
+function closeProposals() {
+    proposalsModal.classList.remove('active');
+    proposalsActivityId = null;
+}
+
+// Votes and comments can change the leader, so the card and estimate follow
+function refreshProposals() {
+    renderProposals();
+    renderSuggestionBadges();
+    renderBudget();
+}
+
+if (proposalList) {
+    proposalList.addEventListener('click', (e) => {
+        const item = e.target.closest('.proposal');
+        if (!item) return;
+        const proposalId = item.dataset.proposal;
+        
+        const chip = e.target.closest('.vote-chip');
+        if (chip) {
+            SuggestionsModule.vote(proposalsActivityId, proposalId, chip.dataset.who, nextVote[chip.dataset.value]);
+            refreshProposals();
+            return;
+        }
+        
+        if (e.target.closest('.proposal-accept')) {
+            const activityId = proposalsActivityId;
+            closeProposals();
+            acceptSuggestion(activityId, proposalId);
+            return;
+        }
+        
+        if (e.target.closest('.proposal-remove')) {
+            if (!confirm('Withdraw this proposal and its votes?')) return;
+            SuggestionsModule.removeProposal(proposalsActivityId, proposalId);
+            refreshProposals();
+        }
+    });
+    
+    proposalList.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const form = e.target;
+        const proposalId = form.closest('.proposal').dataset.proposal;
+        const comment = SuggestionsModule.addComment(proposalsActivityId, proposalId, form.elements.by.value, form.elements.text.value);
+        if (!comment) return;
+        
+        refreshProposals();
+        showToast(`${comment.by} commented`, '💬');
+    });
+}
+
+document.getElementById('closeProposalsModal')?.addEventListener('click', closeProposals);
+
+if (proposalsModal) {
+    proposalsModal.addEventListener('click', (e) => {
+        if (e.target === proposalsModal) closeProposals();
+    });
+}
+
+// ===========================================
+// ITINERARY EDITOR
+// ===========================================
+
+const editorModal = document.getElementById('editorModal');
+const editorForm = document.getElementById('editorForm');
+const closeEditorModal = document.getElementById('closeEditorModal');
+const editorDeleteBtn = document.getElementById('editorDelete');
+const editModeBtn = document.getElementById('toggleEditMode');
+
+let isEditMode = false;
+let editingActivityId = null;
+
+function toggleEditMode() {
+    isEditMode = !isEditMode;
+    document.body.classList.toggle('edit-mode', isEditMode);
+    showToast(isEditMode ? 'Tap a card to edit it' : 'Editing done', '✏️');
+}
+
+function populateEditorOptions() {
+    document.getElementById('editorDay').innerHTML = ItineraryModule.getDays()
+        .map(day => `<option value="${day.id}">Day ${day.number} – ${escapeHtml(day.tab)}</option>`)
+        .join('');
+    document.getElementById('editorSlot').innerHTML = ItineraryModule.getTimeSlots()
+        .map(slot => `<option value="${escapeHtml(slot)}">${escapeHtml(slot)}</option>`)
+        .join('');
+    // Prices count towards Attractions unless told otherwise
+    document.getElementById('editorPriceCategory').innerHTML = ExpensesModule.getCategories()
+        .map(c => `<option value="${c.label}"${c.label === 'Attractions' ? ' selected' : ''}>${c.emoji} ${c.label}</option>`)
+        .join('');
+}
+
+// Start time to show in the editor; blank when the slot's usual time applies
+function getEditorStart(activity) {
+    const times = ScheduleModule.getTimes(activity);
+    return times && !times.approximate ? ScheduleModule.toInputValue(times.start) : '';
+}
+
+function openEditor(activityId, dayId) {
+    populateEditorOptions();
+    editorForm.reset();
+    editingActivityId = activityId || null;
+    
+    const found = activityId ? ItineraryModule.findActivity(activityId) : null;
+    const fields = editorForm.elements;
+    
+    if (found) {
+        const { activity, day } = found;
+        fields.emoji.value = activity.emoji || '';
+        fields.name.value = activity.name;
+        fields.day.value = day.id;
+        fields.slot.value = activity.slot;
+        fields.start.value = getEditorStart(activity);
+        fields.duration.value = activity.duration || '';
+        fields.travel.value = activity.travel || '';
+        fields.description.value = activity.description || '';
+        fields.address.value = activity.address || '';
+        fields.distance.value = activity.distance || '';
+        fields.hours.value = activity.hours || '';
+        fields.priceFrom.value = activity.price ? activity.price.jpy : '';
+        fields.priceTo.value = activity.price && activity.price.jpyEnd ? activity.price.jpyEnd : '';
+        fields.priceUnit.value = activity.price ? activity.price.unit : 'group';
+        if (activity.price && activity.price.category) fields.priceCategory.value = activity.price.category;
+        fields.priceBands.value = activity.price ? BudgetModule.formatBands(activity.price.bands) : '';
+        fields.tips.value = activity.tips || '';
+        fields.website.value = activity.website || '';
+    } else if (dayId) {
+        fields.day.value = dayId;
+    }
+    
+    document.getElementById('editorTitle').textContent = found ? 'Edit Activity' : 'Add Activity';
+    editorDeleteBtn.style.display = found ? '' : 'none';
+    editorModal.classList.add('active');
+}
+
+function closeEditorModalFn() {
+    editorModal.classList.remove('active');
+    editingActivityId = null;
+}
+
+function getWebsiteName(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (err) {
+        return url;
+    }
+}
+
+function readEditorForm() {
+    const fields = editorForm.elements;
+    const value = name => fields[name].value.trim();
+    const priceFrom = parseInt(value('priceFrom'));
+    const priceTo = parseInt(value('priceTo'));
+    const duration = parseInt(value('duration'));
+    const travel = parseInt(value('travel'));
+    
+    let price = null;
+    if (!isNaN(priceFrom)) {
+        price = { jpy: priceFrom, unit: value('priceUnit'), category: value('priceCategory') };
+        if (!isNaN(priceTo) && priceTo > priceFrom) price.jpyEnd = priceTo;
+        const bands = BudgetModule.parseBands(value('priceBands'));
+        if (bands && bands.length) price.bands = bands;
+    }
+    
+    return {
+        emoji: value('emoji') || '📍',
+        name: value('name'),
+        start: value('start') || null,
+        duration: duration > 0 ? duration : null,
+        travel: travel > 0 ? travel : null,
+        description: value('description'),
+        address: value('address') || null,
+        distance: value('distance') || null,
+        hours: value('hours') || null,
+        price,
+        tips: value('tips') || null,
+        website: value('website') || null,
+        websiteName: value('website') ? getWebsiteName(value('website')) : null
+    };
+}
+
+if (editorForm) {
+    editorForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const fields = readEditorForm();
+        if (!fields.name) return;
+        
+        const bandsText = editorForm.elements.priceBands.value.trim();
+        if (bandsText && !BudgetModule.parseBands(bandsText)) {
+            showToast('Write child prices like "0-5 free, 6-11 950"', '⚠️');
+            return;
+        }
+        
+        const dayId = editorForm.elements.day.value;
+        const slot = editorForm.elements.slot.value;
+        
+        if (editingActivityId) {
+            const existing = ItineraryModule.findActivity(editingActivityId).activity;
+            // Keep the curated venue name unless the website itself changed
+            if (fields.website === existing.website) {
+                fields.websiteName = existing.websiteName;
+            }
+            // A new slot without a new start time takes the slot's usual time
+            if (slot !== existing.slot && fields.start === (getEditorStart(existing) || null)) {
+                fields.start = null;
+            }
+            ItineraryModule.moveActivity(editingActivityId, dayId, slot);
+            ItineraryModule.updateActivity(editingActivityId, fields);
+            showToast('Activity updated', '✏️');
+        } else {
+            ItineraryModule.addActivity(dayId, { ...fields, slot });
+            showToast('Activity added', '➕');
+        }
+        
+        closeEditorModalFn();
+        refreshItinerary();
+    });
+}
+
+if (editorDeleteBtn) {
+    editorDeleteBtn.addEventListener('click', () => {
+        if (!editingActivityId) return;
+        
+        const activity = activityDatabase[editingActivityId];
+        if (!confirm(`Remove ${activity ? activity.name : 'this activity'} from the plan?`)) return;
+        
+        ItineraryModule.removeActivity(editingActivityId);
+        SuggestionsModule.clearActivity(editingActivityId);
+        
+        closeEditorModalFn();
+        refreshItinerary();
+        showToast('Activity removed', '🗑️');
+    });
+}
+
+if (closeEditorModal) {
+    closeEditorModal.addEventListener('click', closeEditorModalFn);
+}
+
+if (editorModal) {
+    editorModal.addEventListener('click', (e) => {
+        if (e.target === editorModal) {
+            closeEditorModalFn();
+        }
+    });
+}
+
+if (editModeBtn) {
+    editModeBtn.addEventListener('click', toggleEditMode);
+}
+
+// ===========================================
+// EXPENSES
+// ===========================================
+
+const expenseModal = document.getElementById('expenseModal');
+const expenseForm = document.getElementById('expenseForm');
+const expenseDeleteBtn = document.getElementById('expenseDelete');
+const expenseList = document.getElementById('expenseList');
+
+let editingExpenseId = null;
+
+function getTravellerNames() {
+    return TravellersModule.getTravellers().map(traveller => traveller.name);
+}
+
+function formatExpenseAmount(expense) {
+    if (expense.currency === 'JPY') return `¥${formatNumber(expense.amount)}`;
+    const { symbol, decimals } = CurrencyModule.getCurrency(expense.currency);
+    return `${symbol}${formatNumber(expense.amount.toFixed(decimals))}`;
+}
+
+function describeSplit(split) {
+    if (split.mode === 'one') return `for ${split.person}`;
+    if (split.mode === 'shares') {
+        return `shared ${Object.entries(split.shares).map(([name, weight]) => `${name} ${weight}`).join(' : ')}`;
+    }
+    // Only name the people when they're no longer the whole group
+    const travellers = getTravellerNames();
+    const regrouped = split.people &&
+        (split.people.length !== travellers.length || split.people.some(name => !travellers.includes(name)));
+    return regrouped ? `split equally between ${split.people.join(', ')}` : 'split equally';
+}
+
+function renderExpenseList() {
+    if (!expenseList) return;
+    
+    const expenses = ExpensesModule.getExpenses();
+    renderSettleUp();
+    if (expenses.length === 0) {
+        expenseList.innerHTML = '<li class="expense-empty">No expenses yet</li>';
+        return;
+    }
+    
+    const emojis = Object.fromEntries(ExpensesModule.getCategories().map(c => [c.label, c.emoji]));
+    expenseList.innerHTML = expenses.map(expense => {
+        const dayId = ExpensesModule.getExpenseDayId(expense);
+        const day = dayId ? ItineraryModule.getDay(dayId) : null;
+        const activity = expense.activityId ? activityDatabase[expense.activityId] : null;
+        const paid = expense.payer && `${expense.payer} paid, ${describeSplit(expense.split || { mode: 'equal' })}`;
+        const meta = [paid, day && `Day ${day.number}`, activity && activity.name]
+            .filter(Boolean)
+            .map(escapeHtml)
+            .join(' • ');
+        
+        return `
+            <li class="expense-item" data-expense="${escapeHtml(expense.id)}">
+                <span class="expense-emoji">${emojis[expense.category] || '💴'}</span>
+                <span class="expense-info">
+                    <strong>${escapeHtml(expense.note || expense.category)}</strong>
+                    <span>${meta}</span>
+                </span>
+                <span class="expense-amount">${formatExpenseAmount(expense)}</span>
+            </li>
+        `;
+    }).join('');
+}
+
+// Yen and the home currency side by side, whatever the display toggle says
+function formatBothCurrencies(jpy) {
+    return `¥${formatNumber(jpy)} (${formatPrice(jpy, null, 'home')})`;
+}
+
+function renderSettleUp() {
+    const settleUp = document.getElementById('settleUp');
+    if (!settleUp) return;
+    
+    const { balances, transfers } = ExpensesModule.settleUp(getTravellerNames());
+    const hasPayments = ExpensesModule.getExpenses().some(expense => expense.payer);
+    if (!hasPayments) {
+        settleUp.innerHTML = '';
+        return;
+    }
+    
+    const rows = transfers.length > 0
+        ? transfers.map(t => `
+            <li class="settle-transfer">
+                <span><strong>${escapeHtml(t.from)}</strong> owes <strong>${escapeHtml(t.to)}</strong></span>
+                <span>${formatBothCurrencies(t.jpy)}</span>
+            </li>
+        `).join('')
+        : '<li class="settle-transfer">All square 🎉</li>';
+    
+    const summary = Object.entries(balances)
+        .map(([name, jpy]) => `${escapeHtml(name)} ${jpy >= 0 ? '+' : '−'}¥${formatNumber(Math.abs(jpy))}`)
+        .join(' • ');
+    
+    settleUp.innerHTML = `
+        <h4>🤝 Settle Up</h4>
+        <ul class="settle-list">${rows}</ul>
+        <p class="settle-balances">${summary}</p>
+    `;
+}
+
+function populateExpenseOptions(expense) {
+    const fields = expenseForm.elements;
+    const days = ItineraryModule.getDays();
+    // Keep the currency an older expense was paid in, even if home has changed since
+    const currencies = new Set(['JPY', CurrencyModule.getHome(), expense ? expense.currency : 'JPY']);
+    
+    fields.currency.innerHTML = Array.from(currencies)
+        .map(code => `<option value="${code}">${code === 'JPY' ? '¥' : escapeHtml(CurrencyModule.getCurrency(code).symbol)} ${code}</option>`)
+        .join('');
+    fields.category.innerHTML = ExpensesModule.getCategories()
+        .map(c => `<option value="${c.label}">${c.emoji} ${c.label}</option>`)
+        .join('');
+    fields.payer.innerHTML = getTravellerNames()
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        .join('');
+    fields.split.innerHTML = '<option value="equal">Equally</option><option value="shares">By share</option>' + getTravellerNames()
+        .map(name => `<option value="one:${escapeHtml(name)}">All for ${escapeHtml(name)}</option>`)
+        .join('');
+    document.getElementById('splitShares').innerHTML = getTravellerNames().map(name => `
+        <label class="editor-field">
+            <span>${escapeHtml(name)}'s share</span>
+            <input type="number" name="share" data-who="${escapeHtml(name)}" min="0" step="any" value="1">
+        </label>
+    `).join('');
+    fields.day.innerHTML = '<option value="">Not tied to a day</option>' + days
+        .map(day => `<option value="${day.id}">Day ${day.number} – ${escapeHtml(day.tab)}</option>`)
+        .join('');
+    fields.activity.innerHTML = '<option value="">None</option>' + days.map(day => `
+        <optgroup label="Day ${day.number}">
+            ${day.activities.map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.emoji)} ${escapeHtml(a.title || a.name)}</option>`).join('')}
+        </optgroup>
+    `).join('');
+}
+
+function openExpenseForm(expenseId = null, defaults = {}) {
+    const expense = expenseId ? ExpensesModule.getExpense(expenseId) : null;
+    populateExpenseOptions(expense);
+    expenseForm.reset();
+    editingExpenseId = expenseId;
+    
+    const fields = expenseForm.elements;
+    const live = LiveModule.getStatus(ItineraryModule.getDays(), TripsModule.getActiveTrip().startDate);
+    const values = expense || {
+        currency: 'JPY',
+        category: 'Food',
+        dayId: live && live.phase === 'during' ? live.day.id : '',
+        date: LiveModule.getToday(),
+        ...defaults
+    };
+    
+    fields.amount.value = values.amount || '';
+    fields.currency.value = values.currency;
+    fields.category.value = values.category;
+    if (values.payer) fields.payer.value = values.payer;
+    fields.day.value = (expense ? ExpensesModule.getExpenseDayId(expense) : values.dayId) || '';
+    fields.activity.value = values.activityId || '';
+    fields.note.value = values.note || '';
+    fields.date.value = values.date;
+    fillSplitFields(values.split || { mode: 'equal' });
+    
+    document.getElementById('expenseScanInfo').textContent = '';
+    document.getElementById('expenseTitle').textContent = expense ? 'Edit Expense' : 'Log Expense';
+    expenseDeleteBtn.style.display = expense ? '' : 'none';
+    expenseModal.classList.add('active');
+}
+
+function fillSplitFields(split) {
+    const fields = expenseForm.elements;
+    fields.split.value = split.mode === 'one' ? `one:${split.person}` : split.mode;
+    if (!fields.split.value) fields.split.value = 'equal'; // the person has since left the list
+    
+    expenseForm.querySelectorAll('[name="share"]').forEach(input => {
+        input.value = split.mode === 'shares' ? split.shares[input.dataset.who] || 0 : 1;
+    });
+    toggleSplitShares();
+}
+
+function toggleSplitShares() {
+    document.getElementById('splitShares').style.display = expenseForm.elements.split.value === 'shares' ? '' : 'none';
+}
+
+function readSplitFields() {
+    const value = expenseForm.elements.split.value;
+    if (value.startsWith('one:')) return { mode: 'one', person: value.slice(4) };
+    if (value !== 'shares') {
+        // An equal split stays between the people it was first saved with
+        const expense = editingExpenseId && ExpensesModule.getExpense(editingExpenseId);
+        const people = expense && expense.split.mode === 'equal' && expense.split.people;
+        return { mode: 'equal', people: people || getTravellerNames() };
+    }
+    
+    const shares = {};
+    expenseForm.querySelectorAll('[name="share"]').forEach(input => {
+        shares[input.dataset.who] = parseFloat(input.value) || 0;
+    });
+    return { mode: 'shares', shares };
+}
+
+function closeExpenseForm() {
+    expenseModal.classList.remove('active');
+    editingExpenseId = null;
+}
+
+if (expenseForm) {
+    // Picking an activity also picks its day
+    expenseForm.elements.activity.addEventListener('change', () => {
+        const found = ItineraryModule.findActivity(expenseForm.elements.activity.value);
+        if (found) expenseForm.elements.day.value = found.day.id;
+    });
+    
+    expenseForm.elements.split.addEventListener('change', toggleSplitShares);
+    
+    expenseForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const fields = expenseForm.elements;
+        const values = {
+            amount: parseFloat(fields.amount.value),
+            currency: fields.currency.value,
+            category: fields.category.value,
+            payer: fields.payer.value,
+            split: readSplitFields(),
+            activityId: fields.activity.value || null,
+            dayId: fields.day.value || null,
+            note: fields.note.value.trim(),
+            date: fields.date.value
+        };
+        
+        if (values.split.mode === 'shares' && !Object.values(values.split.shares).some(share => share > 0)) {
+            showToast('Give at least one person a share', '⚠️');
+            return;
+        }
+        
+        const saved = editingExpenseId
+            ? ExpensesModule.updateExpense(editingExpenseId, values)
+            : ExpensesModule.addExpense(values);
+        if (!saved) {
+            showToast('Enter an amount above zero', '⚠️');
+            return;
+        }
+        
+        closeExpenseForm();
+        renderBudget();
+        showToast(`Spent ${formatExpenseAmount(saved)}`, '💸');
+    });
+    
+    expenseDeleteBtn.addEventListener('click', () => {
+        if (!editingExpenseId) return;
+        ExpensesModule.removeExpense(editingExpenseId);
+        closeExpenseForm();
+        renderBudget();
+        showToast('Expense deleted', '🗑️');
+    });
+}
+
+document.getElementById('addExpenseBtn')?.addEventListener('click', () => openExpenseForm());
+
+document.getElementById('closeExpenseModal')?.addEventListener('click', closeExpenseForm);
+
+if (expenseModal) {
+    expenseModal.addEventListener('click', (e) => {
+        if (e.target === expenseModal) closeExpenseForm();
+    });
+}
+
+if (expenseList) {
+    expenseList.addEventListener('click', (e) => {
+        const item = e.target.closest('.expense-item');
+        if (item) openExpenseForm(item.dataset.expense);
+    });
+}
+
+// ===========================================
+// RECEIPT SCANNING
+// ===========================================
+
+// Camera and OCR come from the translator (translator/camera.js, translator/ocr.js)
+const receiptModal = document.getElementById('receiptModal');
+const receiptStatus = document.getElementById('receiptStatus');
+const receiptFileInput = document.getElementById('receiptFileInput');
+
+function setReceiptStatus(message) {
+    receiptStatus.textContent = message;
+}
+
+function setReceiptBusy(busy) {
+    document.getElementById('receiptCaptureBtn').disabled = busy;
+    document.getElementById('receiptPhotoBtn').disabled = busy;
+}
+
+async function openReceiptScanner() {
+    receiptModal.classList.add('active');
+    setReceiptBusy(false);
+    setReceiptStatus('Starting camera…');
+    
+    const cameraReady = await CameraModule.init(document.getElementById('receiptVideo'), document.getElementById('receiptCanvas')) &&
+        await CameraModule.start();
+    if (!receiptModal.classList.contains('active')) {
+        CameraModule.stop(); // closed while the camera was starting
+        return;
+    }
+    document.getElementById('receiptCaptureBtn').style.display = cameraReady ? '' : 'none';
+    setReceiptStatus(cameraReady ? 'Fit the whole receipt in the frame' : 'No camera here — choose a photo instead');
+    
+    // Warm up the OCR engine while the receipt is lined up
+    OCRModule.init(handleReceiptOcrProgress);
+}
+
+function closeReceiptScanner() {
+    CameraModule.stop();
+    receiptModal.classList.remove('active');
+}
+
+function handleReceiptOcrProgress({ status, message }) {
+    if (status === 'loading' || status === 'error') setReceiptStatus(message);
+}
+
+// The trip day a receipt date falls on, if any
+function getDayIdForDate(date) {
+    const startDate = TripsModule.getActiveTrip().startDate;
+    const day = ItineraryModule.getDays().find(d => {
+        const dayDate = ScheduleModule.getDayDate(startDate, d.number);
+        return dayDate && dayDate.toISOString().slice(0, 10) === date;
+    });
+    return day ? day.id : '';
+}
+
+function describeReceipt(receipt) {
+    const parts = [receipt.total !== null ? `合計 ¥${formatNumber(receipt.total)}` : 'No 合計 found — enter the amount'];
+    if (receipt.tax) {
+        const rate = receipt.tax.rate ? `${receipt.tax.rate}%, ` : '';
+        parts.push(`消費税 ¥${formatNumber(receipt.tax.jpy)} (${rate}${receipt.tax.included ? '税込 included' : 'added'})`);
+    }
+    return `Scanned${receipt.store ? ` ${receipt.store}` : ''}: ${parts.join(' • ')}. Check before saving.`;
+}
+
+async function scanReceipt(image) {
+    setReceiptBusy(true);
+    setReceiptStatus('Reading receipt…');
+    
+    const ocrReady = await OCRModule.init(handleReceiptOcrProgress);
+    const result = ocrReady ? await OCRModule.recognize(image, { grayscale: true, enhanceContrast: true }) : null;
+    setReceiptBusy(false);
+    
+    if (!result || !result.success) {
+        setReceiptStatus(ocrReady ? 'Couldn\'t read any text — try again with more light' : 'Receipt scanning needs a connection the first time');
+        return;
+    }
+    
+    const receipt = ReceiptModule.parse(result.text);
+    const defaults = { category: 'Shopping' };
+    if (receipt.total !== null) defaults.amount = receipt.total;
+    if (receipt.store) defaults.note = receipt.store;
+    if (receipt.date) {
+        defaults.date = receipt.date;
+        defaults.dayId = getDayIdForDate(receipt.date);
+    }
+    
+    closeReceiptScanner();
+    openExpenseForm(null, defaults);
+    document.getElementById('expenseScanInfo').textContent = describeReceipt(receipt);
+}
+
+document.getElementById('scanReceiptBtn')?.addEventListener('click', openReceiptScanner);
+
+document.getElementById('receiptCaptureBtn')?.addEventListener('click', () => {
+    const frame = CameraModule.captureFrameAsDataURL(0.92);
+    if (!frame) {
+        setReceiptStatus('Camera isn\'t ready yet');
+        return;
+    }
+    CameraModule.setPaused(true);
+    scanReceipt(frame).then(() => {
+        if (receiptModal.classList.contains('active')) CameraModule.setPaused(false);
+    });
+});
+
+document.getElementById('receiptPhotoBtn')?.addEventListener('click', () => {
+    receiptFileInput.click();
+});
+
+if (receiptFileInput) {
+    receiptFileInput.addEventListener('change', async () => {
+        const file = receiptFileInput.files[0];
+        receiptFileInput.value = '';
+        if (!file) return;
+        
+        const url = URL.createObjectURL(file);
+        await scanReceipt(url);
+        URL.revokeObjectURL(url);
+    });
+}
+
+window.addEventListener('cameraError', (e) => {
+    if (receiptModal?.classList.contains('active')) setReceiptStatus(e.detail.message);
+});
+
+document.getElementById('closeReceiptModal')?.addEventListener('click', closeReceiptScanner);
+
+if (receiptModal) {
+    receiptModal.addEventListener('click', (e) => {
+        if (e.target === receiptModal) closeReceiptScanner();
+    });
+}
+
+// ===========================================
+// WISHLIST
+// ===========================================
+
+const techGrid = document.getElementById('techGrid');
+const wishModal = document.getElementById('wishModal');
+const wishForm = document.getElementById('wishForm');
+const boughtModal = document.getElementById('boughtModal');
+const boughtForm = document.getElementById('boughtForm');
+
+let buyingItemId = null;
+
+function renderWishItem(item) {
+    const price = item.bought
+        ? renderAmount(item.bought.jpy)
+        : renderCost({ low: item.jpy, high: item.jpyEnd || item.jpy });
+    const desc = item.bought
+        ? `Bought${item.bought.store ? ` at ${escapeHtml(item.bought.store)}` : ''} • ${item.bought.date}`
+        : escapeHtml(item.desc);
+    
+    return `
+        <div class="tech-item${item.bought ? ' bought' : ''}" data-wish="${escapeHtml(item.id)}">
+            <span class="tech-name">${item.bought ? '✅ ' : ''}${escapeHtml(item.name)}</span>
+            <span class="tech-price">${price}</span>
+            <span class="tech-desc">${desc}</span>
+            <div class="tech-actions">
+                <button class="tech-buy">${item.bought ? 'Undo' : '✓ Bought'}</button>
+                <button class="tech-remove" aria-label="Remove ${escapeHtml(item.name)}">✕</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderWishlist() {
+    if (!techGrid) return;
+    
+    const items = WishlistModule.getItems();
+    const summary = WishlistModule.summarize();
+    techGrid.innerHTML = items.map(renderWishItem).join('');
+    document.getElementById('techSummary').innerHTML = items.length > 0
+        ? `${renderEstimate(summary)} planned • ${renderAmount(summary.spent)} bought`
+        : 'Nothing on the list yet';
+}
+
+function openBoughtForm(itemId) {
+    const item = WishlistModule.getItem(itemId);
+    if (!item) return;
+    
+    buyingItemId = itemId;
+    boughtForm.reset();
+    boughtForm.elements.payer.innerHTML = getTravellerNames()
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        .join('');
+    boughtForm.elements.jpy.value = item.jpy;
+    document.getElementById('boughtTitle').textContent = `✅ ${item.name}`;
+    boughtModal.classList.add('active');
+}
+
+function closeBoughtForm() {
+    boughtModal.classList.remove('active');
+    buyingItemId = null;
+}
+
+if (techGrid) {
+    techGrid.addEventListener('click', (e) => {
+        const card = e.target.closest('.tech-item');
+        if (!card) return;
+        const item = WishlistModule.getItem(card.dataset.wish);
+        
+        if (e.target.closest('.tech-remove')) {
+            if (!confirm(`Remove ${item.name} from the wishlist?`)) return;
+            WishlistModule.removeItem(item.id);
+        } else if (e.target.closest('.tech-buy')) {
+            if (!item.bought) {
+                openBoughtForm(item.id);
+                return;
+            }
+            WishlistModule.unmarkBought(item.id);
+            showToast(`${item.name} is back on the list`, '↩️');
+        } else {
+            // Tapping a card starts a tax-free basket entry at its price
+            prefillTaxFree(item.name, item.bought ? item.bought.jpy : item.jpy);
+            return;
+        }
+        
+        renderWishlist();
+        renderBudget();
+    });
+}
+
+if (boughtForm) {
+    boughtForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const fields = boughtForm.elements;
+        const item = WishlistModule.markBought(buyingItemId, {
+            jpy: parseFloat(fields.jpy.value),
+            store: fields.store.value,
+            payer: fields.payer.value
+        });
+        if (!item) {
+            showToast('Enter the price paid', '⚠️');
+            return;
+        }
+        
+        closeBoughtForm();
+        renderWishlist();
+        renderBudget();
+        showToast(`Bought ${item.name} for ¥${formatNumber(item.bought.jpy)}`, '🛍️');
+    });
+}
+
+if (wishForm) {
+    wishForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const fields = wishForm.elements;
+        const item = WishlistModule.addItem({
+            name: fields.name.value.trim(),
+            desc: fields.desc.value.trim(),
+            jpy: parseFloat(fields.jpy.value),
+            jpyEnd: parseFloat(fields.jpyEnd.value)
+        });
+        if (!item) {
+            showToast('Enter an item and a price', '⚠️');
+            return;
+        }
+        
+        wishModal.classList.remove('active');
+        renderWishlist();
+        renderBudget();
+        showToast(`${item.name} added to the wishlist`, '🛍️');
+    });
+}
+
+document.getElementById('addWishBtn')?.addEventListener('click', () => {
+    wishForm.reset();
+    wishModal.classList.add('active');
+});
+
+document.getElementById('closeWishModal')?.addEventListener('click', () => {
+    wishModal.classList.remove('active');
+});
+
+document.getElementById('closeBoughtModal')?.addEventListener('click', closeBoughtForm);
+
+if (wishModal) {
+    wishModal.addEventListener('click', (e) => {
+        if (e.target === wishModal) wishModal.classList.remove('active');
+    });
+}
+
+if (boughtModal) {
+    boughtModal.addEventListener('click', (e) => {
+        if (e.target === boughtModal) closeBoughtForm();
+    });
+}
+
+// ===========================================
+// TAX-FREE SHOPPING
+// ===========================================
+
+const taxfreeForm = document.getElementById('taxfreeForm');
+const taxfreeVisits = document.getElementById('taxfreeVisits');
+
+function formatVisitDate(date) {
+    return new Date(`${date}T00:00`).toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function renderTaxFreeVisit(visit) {
+    const { minimumJpy } = TaxFreeModule.getRules();
+    const status = visit.eligible
+        ? '<span class="taxfree-status ok">✅ Tax-free</span>'
+        : '<span class="taxfree-status under">⚠️ Under minimum</span>';
+    
+    return `
+        <div class="taxfree-visit">
+            <div class="taxfree-visit-header">
+                <strong>${escapeHtml(visit.store)}${visit.date ? ` <small>${formatVisitDate(visit.date)}</small>` : ''}</strong>
+                ${status}
+            </div>
+            <ul class="taxfree-items">
+                ${visit.items.map(item => `
+                    <li>
+                        <span>${escapeHtml(item.name)}</span>
+                        <span>¥${formatNumber(item.inclusive)}</span>
+                        <button class="taxfree-remove" data-item="${escapeHtml(item.id)}" aria-label="Remove ${escapeHtml(item.name)}">✕</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="taxfree-row"><span>With tax</span><span>${formatBothCurrencies(visit.inclusive)}</span></div>
+            <div class="taxfree-row"><span>Tax-free</span><span>${formatBothCurrencies(visit.exclusive)}</span></div>
+            ${visit.eligible
+                ? `<div class="taxfree-row saving"><span>You save</span><span>${formatBothCurrencies(visit.tax)}</span></div>`
+                : `<p class="taxfree-warning">Needs ¥${formatNumber(minimumJpy)} before tax at one store on one day — add ¥${formatNumber(visit.shortfall)} more or pay the tax</p>`}
+        </div>
+    `;
+}
+
+function renderTaxFree() {
+    if (!taxfreeVisits) return;
+    
+    const { taxRate, minimumJpy } = TaxFreeModule.getRules();
+    document.getElementById('taxfreeRules').textContent =
+        `${Math.round(taxRate * 100)}% tax • tax-free from ¥${formatNumber(minimumJpy)} before tax, per store visit • passport required`;
+    
+    if (!taxfreeForm.elements.date.value) taxfreeForm.elements.date.value = TaxFreeModule.today();
+    
+    const visits = TaxFreeModule.getVisits();
+    taxfreeVisits.innerHTML = visits.length > 0
+        ? visits.map(renderTaxFreeVisit).join('')
+        : '<p class="taxfree-empty">Tap a find above or add an item to plan a store visit</p>';
+}
+
+if (taxfreeForm) {
+    taxfreeForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const fields = taxfreeForm.elements;
+        const item = TaxFreeModule.addItem({
+            name: fields.name.value.trim(),
+            jpy: parseFloat(fields.jpy.value),
+            store: fields.store.value,
+            date: fields.date.value,
+            taxIncluded: fields.taxIncluded.checked
+        });
+        if (!item) {
+            showToast('Enter an item and a price', '⚠️');
+            return;
+        }
+        
+        // Keep the store and date for the next item from the same visit
+        fields.name.value = '';
+        fields.jpy.value = '';
+        renderTaxFree();
+    });
+}
+
+if (taxfreeVisits) {
+    taxfreeVisits.addEventListener('click', (e) => {
+        const remove = e.target.closest('.taxfree-remove');
+        if (!remove) return;
+        TaxFreeModule.removeItem(remove.dataset.item);
+        renderTaxFree();
+    });
+}
+
+// Start a basket entry from a wishlist item
+function prefillTaxFree(name, jpy) {
+    const fields = taxfreeForm.elements;
+    fields.name.value = name;
+    fields.jpy.value = jpy;
+    fields.taxIncluded.checked = true;
+    fields.jpy.focus();
+}
+
+// ===========================================
+// TRAVELLING PARTY
+// ===========================================
+
+const partyModal = document.getElementById('partyModal');
+const partyForm = document.getElementById('partyForm');
+
+function openPartyForm() {
+    const party = ItineraryModule.getParty();
+    partyForm.elements.adults.value = party.adults;
+    partyForm.elements.children.value = party.children.map(child => child.age).join(', ');
+    renderTravellerList();
+    partyModal.classList.add('active');
+}
+
+const travellerList = document.getElementById('travellerList');
+const travellerForm = document.getElementById('travellerForm');
+
+function renderTravellerList() {
+    const travellers = TravellersModule.getTravellers();
+    travellerList.innerHTML = travellers.map(traveller => `
+        <li class="traveller-row" data-traveller="${escapeHtml(traveller.name)}">
+            <input class="traveller-emoji" type="text" value="${escapeHtml(traveller.emoji)}" aria-label="${escapeHtml(traveller.name)}'s avatar">
+            <span class="traveller-name">${escapeHtml(traveller.name)}</span>
+            <input class="traveller-color" type="color" value="${traveller.color}" aria-label="${escapeHtml(traveller.name)}'s colour">
+            ${travellers.length > 1 ? `<button type="button" class="traveller-remove" aria-label="Remove ${escapeHtml(traveller.name)}">✕</button>` : ''}
+        </li>
+    `).join('');
+}
+
+// Everything that shows travellers by name, avatar or colour
+function refreshTravellers() {
+    renderTravellerList();
+    renderWhoButtons();
+    renderSuggestionBadges();
+    renderBudget();
+    renderPresence();
+}
+
+if (travellerList) {
+    travellerList.addEventListener('change', (e) => {
+        const row = e.target.closest('.traveller-row');
+        if (!row) return;
+        
+        TravellersModule.updateTraveller(row.dataset.traveller, {
+            emoji: row.querySelector('.traveller-emoji').value,
+            color: row.querySelector('.traveller-color').value
+        });
+        refreshTravellers();
+    });
+    
+    travellerList.addEventListener('click', (e) => {
+        const remove = e.target.closest('.traveller-remove');
+        if (!remove) return;
+        
+        const name = remove.closest('.traveller-row').dataset.traveller;
+        if (!confirm(`Remove ${name}? Their suggestions and expenses stay.`)) return;
+        TravellersModule.removeTraveller(name);
+        refreshTravellers();
+    });
+}
+
+if (travellerForm) {
+    travellerForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const fields = travellerForm.elements;
+        const traveller = TravellersModule.addTraveller({
+            name: fields.name.value,
+            emoji: fields.emoji.value,
+            color: fields.color.value
+        });
+        if (!traveller) {
+            showToast('That name is already on the trip', '⚠️');
+            return;
+        }
+        
+        travellerForm.reset();
+        refreshTravellers();
+        showToast(`${traveller.emoji} ${traveller.name} joined the trip`, '🎉');
+    });
+}
+
+if (partyForm) {
+    partyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const adults = parseInt(partyForm.elements.adults.value);
+        const ages = partyForm.elements.children.value
+            .split(',')
+            .map(age => age.trim())
+            .filter(Boolean)
+            .map(Number);
+        
+        if (!ItineraryModule.setParty(adults, ages)) {
+            showToast('Enter at least 1 adult and ages under 18', '⚠️');
+            return;
+        }
+        
+        partyModal.classList.remove('active');
+        refreshItinerary();
+        showToast(BudgetModule.describeParty(ItineraryModule.getParty()), '👨‍👩‍👧');
+    });
+}
+
+document.getElementById('budgetNote')?.addEventListener('click', openPartyForm);
+
+document.getElementById('closePartyModal')?.addEventListener('click', () => {
+    partyModal.classList.remove('active');
+});
+
+if (partyModal) {
+    partyModal.addEventListener('click', (e) => {
+        if (e.target === partyModal) partyModal.classList.remove('active');
+    });
+}
+
+// ===========================================
+// TRIP SWITCHER
+// ===========================================
+
+const tripModal = document.getElementById('tripModal');
+const tripForm = document.getElementById('tripForm');
+const openTripsBtn = document.getElementById('openTripSwitcher');
+const tripStartInput = document.getElementById('tripStartDate');
+const closeTripModal = document.getElementById('closeTripModal');
+
+function renderTripHeader() {
+    const trip = TripsModule.getActiveTrip();
+    
+    document.title = `${trip.name} | Family Itinerary`;
+    document.getElementById('heroEmoji').textContent = trip.emoji;
+    document.getElementById('heroTitle').textContent = trip.name;
+    document.getElementById('heroSubtitle').textContent = trip.subtitle;
+    document.getElementById('heroHotelName').textContent = trip.hotel;
+    document.getElementById('heroHotel').style.display = trip.hotel ? '' : 'none';
+}
+
+function renderTripItem(trip) {
+    const isActive = trip.id === TripsModule.getActiveTrip().id;
+    const details = [trip.hotel, trip.subtitle].filter(Boolean).map(escapeHtml).join(' · ');
+    const archiveAction = trip.archived
+        ? `<button class="trip-action" data-action="restore" aria-label="Restore">↩️</button>`
+        : `<button class="trip-action" data-action="archive" aria-label="Archive"${isActive ? ' disabled' : ''}>🗄️</button>`;
+    
+    return `
+        <div class="trip-item${isActive ? ' active' : ''}" data-trip="${escapeHtml(trip.id)}">
+            <button class="trip-open" data-action="open">
+                <span class="trip-emoji">${escapeHtml(trip.emoji)}</span>
+                <span class="trip-info">
+                    <strong>${escapeHtml(trip.name)}</strong>
+                    <span>${isActive ? 'Current trip' : details}</span>
+                </span>
+            </button>
+            <button class="trip-action" data-action="duplicate" aria-label="Duplicate">⧉</button>
+            ${archiveAction}
+        </div>
+    `;
+}
+
+function renderTripList() {
+    const trips = TripsModule.getTrips(true);
+    const archived = trips.filter(trip => trip.archived);
+    
+    document.getElementById('tripList').innerHTML = trips.filter(trip => !trip.archived).map(renderTripItem).join('');
+    document.getElementById('archivedTripList').innerHTML = archived.map(renderTripItem).join('');
+    document.getElementById('tripArchive').style.display = archived.length ? '' : 'none';
+}
+
+function openTripModal() {
+    renderTripList();
+    tripForm.reset();
+    importPanel.hidden = true;
+    tripStartInput.value = TripsModule.getActiveTrip().startDate || '';
+    fillSyncForm();
+    tripModal.classList.add('active');
+}
+
+function switchToTrip(tripId) {
+    if (tripId === TripsModule.getActiveTrip().id) {
+        tripModal.classList.remove('active');
+        return;
+    }
+    TripsModule.switchTrip(tripId);
+    // Every per-trip store is read at startup, so a reload picks them all up
+    window.location.reload();
+}
+
+if (tripModal) {
+    tripModal.addEventListener('click', (e) => {
+        if (e.target === tripModal) {
+            tripModal.classList.remove('active');
+            return;
+        }
+        
+        const button = e.target.closest('[data-action]');
+        const item = e.target.closest('.trip-item');
+        if (!button || !item) return;
+        
+        const tripId = item.dataset.trip;
+        const trip = TripsModule.getTrip(tripId);
+        
+        switch (button.dataset.action) {
+            case 'open':
+                switchToTrip(tripId);
+                break;
+            case 'duplicate':
+                TripsModule.duplicateTrip(tripId);
+                renderTripList();
+                showToast(`Copied ${trip.name}`, '⧉');
+                break;
+            case 'archive':
+                if (TripsModule.setArchived(tripId, true)) {
+                    renderTripList();
+                    showToast(`Archived ${trip.name}`, '🗄️');
+                }
+                break;
+            case 'restore':
+                TripsModule.setArchived(tripId, false);
+                renderTripList();
+                showToast(`Restored ${trip.name}`, '↩️');
+                break;
+        }
+    });
+}
+
+if (tripForm) {
+    tripForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const fields = tripForm.elements;
+        const name = fields.name.value.trim();
+        if (!name) return;
+        
+        const dayCount = Math.min(Math.max(parseInt(fields.days.value) || 1, 1), 30);
+        const trip = TripsModule.createTrip({
+            name,
+            emoji: fields.emoji.value.trim() || '✈️',
+            hotel: fields.hotel.value.trim(),
+            startDate: fields.startDate.value,
+            subtitle: `${dayCount} Day${dayCount === 1 ? '' : 's'} of Wonder`
+        });
+        localStorage.setItem(TripsModule.storageKey('itinerary', trip.id), JSON.stringify(ItineraryModule.createBlank(dayCount)));
+        
+        switchToTrip(trip.id);
+    });
+}
+
+if (openTripsBtn) {
+    openTripsBtn.addEventListener('click', openTripModal);
+}
+
+if (tripStartInput) {
+    tripStartInput.addEventListener('change', () => {
+        TripsModule.updateTrip(TripsModule.getActiveTrip().id, { startDate: tripStartInput.value });
+        refreshItinerary(); // dates change which venues are closed
+        showToast(tripStartInput.value ? 'Start date saved' : 'Start date cleared', '📅');
+    });
+}
+
+// ===========================================
+// EXPORT / IMPORT
+// ===========================================
+
+const exportTripBtn = document.getElementById('exportTripBtn');
+const importTripBtn = document.getElementById('importTripBtn');
+const importFileInput = document.getElementById('importFileInput');
+const importPanel = document.getElementById('importPanel');
+
+let pendingImport = null;
+
+function downloadFile(fileName, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function exportTrip() {
+    const trip = TripsModule.getActiveTrip();
+    const payload = TransferModule.buildExport(trip, ItineraryModule.getData(), SuggestionsModule.getAll());
+    downloadFile(TransferModule.getFileName(trip), JSON.stringify(payload, null, 2), 'application/json');
+    showToast('Trip exported', '⬇️');
+}
+
+// Download the whole trip, or one day, as an .ics file
+function exportCalendar(dayId = null) {
+    const trip = TripsModule.getActiveTrip();
+    if (!trip.startDate) {
+        openTripModal();
+        tripStartInput.focus();
+        showToast('Set the trip start date first', '📅');
+        return;
+    }
+    
+    const day = dayId ? ItineraryModule.getDay(dayId) : null;
+    const days = day ? [day] : ItineraryModule.getDays();
+    
+    downloadFile(CalendarModule.getFileName(trip, day), CalendarModule.buildCalendar(trip, days, trip.startDate), 'text/calendar');
+    showToast(day ? `Day ${day.number} added to calendar file` : 'Calendar file ready', '📅');
+}
+
+function renderImportReport(lines) {
+    document.getElementById('importReport').innerHTML = lines.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+}
+
+function showImportPreview(payload, verb = 'exported') {
+    const exported = new Date(payload.exportedAt);
+    const dateText = isNaN(exported) ? 'unknown date' : exported.toLocaleDateString();
+    
+    document.getElementById('importSummary').textContent =
+        `${payload.trip.name || 'Untitled trip'} · ${payload.itinerary.days.length} days · ${verb} ${dateText}`;
+    renderImportReport([]);
+    importPanel.hidden = false;
+}
+
+function applyImport(mode) {
+    if (!pendingImport) return;
+    
+    const payload = pendingImport;
+    const report = [];
+    
+    if (mode === 'replace') {
+        ItineraryModule.replaceData(payload.itinerary);
+        SuggestionsModule.replaceAll(payload.suggestions);
+        TripsModule.updateTrip(TripsModule.getActiveTrip().id, payload.trip);
+        report.push('Replaced this trip with the imported plan');
+    } else {
+        const itineraryResult = TransferModule.mergeItinerary(ItineraryModule.getData(), payload.itinerary);
+        const suggestionResult = TransferModule.mergeSuggestions(
+            SuggestionsModule.getAll(),
+            SuggestionsModule.normalize(payload.suggestions)
+        );
+        
+        ItineraryModule.replaceData(itineraryResult.itinerary);
+        SuggestionsModule.replaceAll(suggestionResult.suggestions);
+        
+        report.push(`Added ${itineraryResult.addedActivities} activities and ${itineraryResult.addedDays} days`);
+        report.push(`Added ${suggestionResult.added} suggestions, ${suggestionResult.votes} votes and ${suggestionResult.comments} comments`);
+        const describeVote = value => (value > 0 ? '👍' : '👎');
+        suggestionResult.conflicts.forEach(conflict => {
+            const activity = activityDatabase[conflict.activityId];
+            const alt = alternativesDatabase[conflict.alternativeId];
+            report.push(`Conflict on ${activity ? activity.name : conflict.activityId}: kept ${conflict.who}'s ${describeVote(conflict.local)} for ${alt ? alt.name : conflict.alternativeId} over the imported ${describeVote(conflict.incoming)}`);
+        });
+    }
+    
+    pendingImport = null;
+    
+    renderTripHeader();
+    refreshItinerary();
+    renderImportReport(report);
+    document.getElementById('importSummary').textContent = 'Import complete';
+    showToast(mode === 'replace' ? 'Trip replaced' : 'Trip merged', '⬆️');
+}
+
+if (exportTripBtn) {
+    exportTripBtn.addEventListener('click', exportTrip);
+}
+
+document.getElementById('exportCalendarBtn')?.addEventListener('click', () => exportCalendar());
+
+if (importTripBtn) {
+    importTripBtn.addEventListener('click', () => importFileInput.click());
+}
+
+if (importFileInput) {
+    importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            pendingImport = TransferModule.parse(await file.text());
+            showImportPreview(pendingImport);
+        } catch (err) {
+            pendingImport = null;
+            importPanel.hidden = true;
+            showToast(err.message, '⚠️');
+        }
+    });
+}
+
+document.getElementById('importMerge')?.addEventListener('click', () => applyImport('merge'));
+
+document.getElementById('importReplace')?.addEventListener('click', () => {
+    if (confirm('Replace this trip\'s plan and suggestions with the imported plan?')) {
+        applyImport('replace');
+    }
+});
+
+// Opening a share link offers its trip through the same import panel
+async function openShareLink() {
+    if (!TransferModule.isShareFragment(window.location.hash)) return;
+    
+    const hash = window.location.hash;
+    // Drop the fragment so a reload doesn't offer the import again
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    
+    try {
+        pendingImport = await TransferModule.decodeShare(hash);
+        openTripModal();
+        showImportPreview(pendingImport, 'shared');
+    } catch (err) {
+        pendingImport = null;
+        showToast(err.message, '⚠️');
+    }
+}
+
+// A share link pasted into an open tab only changes the fragment
+window.addEventListener('hashchange', openShareLink);
+
+if (closeTripModal) {
+    closeTripModal.addEventListener('click', () => {
+        tripModal.classList.remove('active');
+    });
+}
+
 // ===========================================
-// ACTIVITY CARDS - CLICK TO OPEN MODAL
-// ===========================================
+// SYNC BETWEEN DEVICES
+// ===========================================
+
+const syncForm = document.getElementById('syncForm');
+
+function renderSyncStatus(status) {
+    const statusEl = document.getElementById('syncStatus');
+    if (!statusEl) return;
+    
+    const connected = status.state !== 'off';
+    const lastSync = status.lastSync
+        ? new Date(status.lastSync).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+        : null;
+    const messages = {
+        off: 'Not connected. Run node server/sync-server.js on a laptop or home server, then enter its address.',
+        syncing: 'Syncing…',
+        idle: lastSync ? `Synced at ${lastSync}` : 'Connected',
+        error: `Couldn't sync: ${status.message}`
+    };
+    
+    statusEl.textContent = messages[status.state];
+    statusEl.classList.toggle('error', status.state === 'error');
+    document.getElementById('syncDisconnect').hidden = !connected;
+    document.getElementById('syncNowBtn').hidden = !connected;
+    document.getElementById('syncConnect').hidden = connected;
+}
+
+function fillSyncForm() {
+    const settings = SyncModule.getSettings();
+    syncForm.elements.server.value = settings.server;
+    syncForm.elements.trip.value = settings.trip || TripsModule.getActiveTrip().id;
+    syncForm.elements.token.value = settings.token;
+    renderSyncStatus(SyncModule.getStatus());
+}
+
+// Another device changed the trip: redraw everything built from it
+function applyRemoteChanges() {
+    refreshItinerary();
+    renderExpenseList();
+    if (proposalsModal.classList.contains('active')) renderProposals();
+    showToast('Updated from another device', '🔄');
+}
 
-document.querySelectorAll('.activity-card').forEach(card => {
-    card.addEventListener('click', (e) => {
-        // Don't open modal if clicking a link
-        if (e.target.closest('a')) return;
+if (syncForm) {
+    syncForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
         
-        const activityId = card.dataset.activity;
-        if (activityId) {
-            openActivityModal(activityId);
+        const fields = syncForm.elements;
+        try {
+            const result = await SyncModule.connect({
+                server: fields.server.value,
+                trip: fields.trip.value,
+                token: fields.token.value
+            });
+            CollabModule.refreshRelay();
+            if (result) showToast('Trip syncing', '🔄');
+        } catch (err) {
+            showToast(err.message, '⚠️');
+        }
+    });
+}
+
+document.getElementById('syncNowBtn')?.addEventListener('click', () => SyncModule.syncNow());
+
+document.getElementById('syncDisconnect')?.addEventListener('click', () => {
+    if (!confirm('Stop syncing this trip? Everything stays on this device.')) return;
+    SyncModule.disconnect();
+    CollabModule.refreshRelay();
+    showToast('Sync stopped', '🔌');
+});
+
+// ===========================================
+// LIVE COLLABORATION
+// ===========================================
+
+const presenceBar = document.getElementById('presenceBar');
+
+function renderPresence(peers = CollabModule.getPeers()) {
+    if (!presenceBar) return;
+    
+    const viewer = CollabModule.getViewer();
+    const options = TravellersModule.getTravellers().map(traveller => `
+        <option value="${escapeHtml(traveller.name)}" ${traveller.name === viewer ? 'selected' : ''}>${escapeHtml(traveller.emoji)} ${escapeHtml(traveller.name)}</option>
+    `).join('');
+    
+    // One chip per person and place, however many tabs they have open
+    const chips = new Map();
+    peers.forEach(peer => {
+        const key = `${peer.who}|${peer.remote}`;
+        if (!chips.has(key)) chips.set(key, peer);
+    });
+    const peerChips = [...chips.values()].map(peer => {
+        const traveller = TravellersModule.getTraveller(peer.who);
+        const name = traveller ? traveller.name : 'Someone';
+        const where = peer.remote ? 'on another device' : 'in another tab';
+        return `
+            <span class="presence-chip" title="${escapeHtml(name)} ${where}" ${traveller ? `style="--traveller-color: ${traveller.color}"` : ''}>
+                ${traveller ? escapeHtml(traveller.emoji) : '👤'} ${escapeHtml(name)}${peer.remote ? '' : ' <small>(tab)</small>'}
+            </span>
+        `;
+    }).join('');
+    
+    presenceBar.innerHTML = `
+        <label class="presence-viewer">
+            👀 Viewing as
+            <select id="presenceViewer">
+                <option value="">Choose…</option>
+                ${options}
+            </select>
+        </label>
+        ${peerChips ? `<span class="presence-peers">Also here: ${peerChips}</span>` : ''}
+    `;
+}
+
+// Another tab saved part of the trip: redraw what shows it
+function applyTabChange(kind) {
+    if (kind === 'itinerary') {
+        refreshItinerary();
+    } else if (kind === 'suggestions') {
+        renderSuggestionBadges();
+        renderBudget();
+    } else if (kind === 'expenses') {
+        renderExpenseList();
+        renderBudget();
+    } else if (kind === 'travellers') {
+        refreshTravellers();
+    }
+    if (kind !== 'expenses' && proposalsModal.classList.contains('active')) renderProposals();
+}
+
+if (presenceBar) {
+    presenceBar.addEventListener('change', (e) => {
+        if (e.target.id !== 'presenceViewer') return;
+        CollabModule.setViewer(e.target.value);
+    });
+}
+
+// ===========================================
+// LIVE TRIP MODE
+// ===========================================
+
+const liveCard = document.getElementById('liveCard');
+let hasScrolledToNow = false;
+
+function renderLiveEntry(label, entry, detail) {
+    return `
+        <div class="live-row">
+            <span class="live-label">${label}</span>
+            <span class="live-name">${escapeHtml(entry.activity.emoji)} ${escapeHtml(entry.activity.name)}</span>
+            <span class="live-detail">${detail}</span>
+        </div>
+    `;
+}
+
+function renderLiveRecap() {
+    const days = ItineraryModule.getDays();
+    const activities = days.reduce((count, day) =>
+        count + day.activities.filter(activity => !activity.isAlternative).length, 0);
+    
+    return `
+        <div class="live-recap">
+            <h3>🎌 Trip recap</h3>
+            <p>${days.length} days • ${activities} activities</p>
+            <ul>
+                ${days.map(day => `
+                    <li>
+                        <a href="#${day.id}">Day ${day.number} • ${escapeHtml(day.tab)}</a>
+                        <span>${day.activities.filter(a => !a.isAlternative).map(a => a.emoji).join(' ')}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function renderLiveStatus(status) {
+    const now = Date.now();
+    
+    if (status.phase === 'before') {
+        return `
+            <div class="live-row">
+                <span class="live-label">✈️ Departure</span>
+                <span class="live-name">in ${LiveModule.formatCountdown(status.departsAt - now)}</span>
+            </div>
+        `;
+    }
+    if (status.phase === 'after') {
+        return renderLiveRecap();
+    }
+    
+    const rows = [];
+    if (status.current) {
+        const endsAt = ScheduleModule.getTimes(status.current.activity).end;
+        rows.push(renderLiveEntry('Now', status.current, `until ${ScheduleModule.formatTime(endsAt)}`));
+    }
+    if (status.next) {
+        const startsAt = ScheduleModule.getTimes(status.next.activity).start;
+        const when = status.next.day === status.day ? ScheduleModule.formatTime(startsAt) : `Day ${status.next.day.number}`;
+        rows.push(renderLiveEntry('Next', status.next, `in ${LiveModule.formatCountdown(status.next.startsAt - now)} • ${when}`));
+    }
+    if (rows.length === 0) {
+        rows.push(`<div class="live-row"><span class="live-label">Day ${status.day.number}</span><span class="live-name">Nothing scheduled — enjoy!</span></div>`);
+    }
+    
+    return `${rows.join('')}<button class="live-jump">Jump to now ↓</button>`;
+}
+
+function scrollToLiveActivity() {
+    const card = daySectionsContainer.querySelector('.live-now, .live-next');
+    if (card) {
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+function updateLiveMode() {
+    if (!liveCard) return;
+    
+    const status = LiveModule.getStatus(ItineraryModule.getDays(), TripsModule.getActiveTrip().startDate);
+    
+    daySectionsContainer.querySelectorAll('.live-now, .live-next').forEach(card => {
+        card.classList.remove('live-now', 'live-next');
+    });
+    
+    liveCard.hidden = !status;
+    if (!status) return;
+    
+    liveCard.className = `live-card ${status.phase}`;
+    liveCard.innerHTML = renderLiveStatus(status);
+    
+    if (status.phase !== 'during') return;
+    
+    [[status.current, 'live-now'], [status.next, 'live-next']].forEach(([entry, className]) => {
+        const card = entry && findActivityCard(entry.activity.id, daySectionsContainer);
+        if (card) card.classList.add(className);
+    });
+    
+    // Bring the current item into view once per page load, not on every tick
+    if (!hasScrolledToNow) {
+        hasScrolledToNow = true;
+        scrollToLiveActivity();
+    }
+}
+
+if (liveCard) {
+    liveCard.addEventListener('click', (e) => {
+        if (e.target.closest('.live-jump')) {
+            scrollToLiveActivity();
         }
     });
+    
+    setInterval(updateLiveMode, 30 * 1000);
+}
+
+// ===========================================
+// DRAG & DROP REORDERING
+// ===========================================
+
+ReorderModule.init(daySectionsContainer, {
+    tabBar: dayTabs,
+    onReorder(activityId, dayId, index) {
+        ItineraryModule.reorderActivity(activityId, dayId, index);
+        refreshItinerary();
+    },
+    onMoveToDay(activityId, dayId) {
+        ItineraryModule.moveActivity(activityId, dayId, null);
+        refreshItinerary();
+        showToast(`Moved to Day ${ItineraryModule.getDay(dayId).number}`, '📅');
+    }
+});
+
+// ===========================================
+// ACTIVITY CARDS - CLICK TO OPEN MODAL
+// ===========================================
+
+daySectionsContainer.addEventListener('click', (e) => {
+    const undoBtn = e.target.closest('.undo-swap');
+    if (undoBtn) {
+        undoSwap(undoBtn.dataset.activity);
+        return;
+    }
+    
+    const calendarBtn = e.target.closest('.day-calendar-btn');
+    if (calendarBtn) {
+        exportCalendar(calendarBtn.dataset.day);
+        return;
+    }
+    
+    const addBtn = e.target.closest('.add-activity-btn');
+    if (addBtn) {
+        openEditor(null, addBtn.dataset.day);
+        return;
+    }
+    
+    const card = e.target.closest('.activity-card');
+    if (!card) return;
+    
+    // Don't open modal if clicking a link
+    if (e.target.closest('a')) return;
+    
+    const activityId = card.dataset.activity;
+    if (!activityId) return;
+    
+    if (isEditMode) {
+        openEditor(activityId);
+    } else {
+        openActivityModal(activityId);
+    }
 });
 
 // ===========================================
@@ -731,12 +2956,14 @@ const observer = new IntersectionObserver((entries) => {
     });
 }, observerOptions);
 
-document.querySelectorAll('.activity-card, .tip-card, .tech-item').forEach(el => {
-    el.style.opacity = '0';
-    el.style.transform = 'translateY(16px)';
-    el.style.transition = 'opacity 0.4s ease, transform 0.4s ease';
-    observer.observe(el);
-});
+function observeRevealElements(root = document) {
+    root.querySelectorAll('.activity-card, .tip-card, .tech-item').forEach(el => {
+        el.style.opacity = '0';
+        el.style.transform = 'translateY(16px)';
+        el.style.transition = 'opacity 0.4s ease, transform 0.4s ease';
+        observer.observe(el);
+    });
+}
 
 // ===========================================
 // INITIALIZATION
@@ -744,8 +2971,20 @@ document.querySelectorAll('.activity-card, .tip-card, .tech-item').forEach(el =>
 
 document.addEventListener('DOMContentLoaded', () => {
     initDarkMode();
+    updateCurrencyLabels();
+    renderTripHeader();
+    renderWhoButtons();
+    renderItinerary();
+    renderWishlist();
+    renderTaxFree();
+    observeRevealElements();
     updateActiveTab();
     renderSuggestionBadges();
+    updateLiveMode();
+    openShareLink();
+    SyncModule.init({ onRemoteChange: applyRemoteChanges, onStatus: renderSyncStatus });
+    CollabModule.init({ onChange: applyTabChange, onPresence: renderPresence });
+    renderPresence();
     
     console.log('🗼 Tokyo Adventure loaded!');
 });
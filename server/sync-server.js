@@ -0,0 +1,561 @@
+#!/usr/bin/env node
+/**
+ * Sync Server
+ * A small self-hosted server that lets several devices share one trip's
+ * suggestions, votes, expenses and itinerary edits. No dependencies:
+ *
+ *   node server/sync-server.js
+ *
+ * Settings come from the environment:
+ *   PORT            Port to listen on (default 8787)
+ *   HOST            Interface to bind (default 0.0.0.0, so phones on the
+ *                   same network can reach a laptop or home server)
+ *   SYNC_DATA_DIR   Where trips are saved (default ./sync-data)
+ *   SYNC_TOKEN      Optional shared secret; clients send it as a Bearer token
+ *
+ * Each trip is a set of records ({ key, data, updatedAt, deleted }) with
+ * one timestamp per record. A pushed record replaces the stored one only
+ * when it is newer (last writer wins, ties go to the higher client id),
+ * and every accepted write gets the next sequence number so clients can
+ * pull just what changed since they last looked.
+ *
+ * REST:
+ *   GET  /health                          { ok: true }
+ *   GET  /trips/:trip/changes?since=<seq>  { seq, records } written after seq
+ *   POST /trips/:trip/records              { clientId, records } -> { seq, accepted, rejected }
+ * Change feed:
+ *   GET  /trips/:trip/events              Server-sent events: 'change' with { seq }
+ * Relay:
+ *   WS   /trips/:trip/relay               Passes each text message on to every
+ *                                         other socket on the trip (used for
+ *                                         presence; data changes arrive over
+ *                                         the change feed)
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const config = {
+    port: Number(process.env.PORT) || 8787,
+    host: process.env.HOST || '0.0.0.0',
+    dataDir: path.resolve(process.env.SYNC_DATA_DIR || 'sync-data'),
+    token: process.env.SYNC_TOKEN || '',
+    maxBodyBytes: 2 * 1024 * 1024,
+    saveDelayMs: 500,
+    heartbeatMs: 25000,
+    relayMaxFrameBytes: 64 * 1024,
+    tripPattern: /^[A-Za-z0-9_-]{1,64}$/
+};
+
+/**
+ * Keeps trips in memory and writes each one to its own JSON file
+ * @param {string} dataDir - Directory for trip files
+ * @returns {Object} - { getTrip, scheduleSave, flush }
+ */
+function createStore(dataDir) {
+    const trips = new Map();
+    const timers = new Map();
+
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    /**
+     * Path of a trip's file
+     * @param {string} tripId - Trip id
+     * @returns {string}
+     */
+    function fileFor(tripId) {
+        return path.join(dataDir, `${tripId}.json`);
+    }
+
+    /**
+     * Load a trip, creating an empty one the first time it is used
+     * @param {string} tripId - Trip id
+     * @returns {{seq: number, records: Object}}
+     */
+    function getTrip(tripId) {
+        if (trips.has(tripId)) return trips.get(tripId);
+
+        // Records are keyed by whatever clients send, so they sit in an
+        // object without a prototype: '__proto__' or 'toString' are just keys
+        let trip = { seq: 0, records: Object.create(null) };
+        try {
+            const stored = JSON.parse(fs.readFileSync(fileFor(tripId), 'utf8'));
+            if (stored && Number.isInteger(stored.seq) && stored.records && typeof stored.records === 'object') {
+                trip = { seq: stored.seq, records: Object.assign(Object.create(null), stored.records) };
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`[Sync] Failed to load ${tripId}:`, error.message);
+        }
+        trips.set(tripId, trip);
+        return trip;
+    }
+
+    /**
+     * Write a trip to disk (via a temp file, so a crash never leaves half a file)
+     * @param {string} tripId - Trip id
+     */
+    function write(tripId) {
+        timers.delete(tripId);
+        const file = fileFor(tripId);
+        try {
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(trips.get(tripId)));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (error) {
+            console.error(`[Sync] Failed to save ${tripId}:`, error.message);
+        }
+    }
+
+    /**
+     * Save a trip shortly, batching bursts of writes
+     * @param {string} tripId - Trip id
+     */
+    function scheduleSave(tripId) {
+        if (timers.has(tripId)) return;
+        timers.set(tripId, setTimeout(() => write(tripId), config.saveDelayMs));
+    }
+
+    /**
+     * Write every pending trip now
+     */
+    function flush() {
+        timers.forEach((timer, tripId) => {
+            clearTimeout(timer);
+            write(tripId);
+        });
+    }
+
+    return { getTrip, scheduleSave, flush };
+}
+
+/**
+ * Check a pushed record is well formed
+ * @param {Object} record - Pushed record
+ * @returns {boolean}
+ */
+function isValidRecord(record) {
+    return record &&
+        typeof record.key === 'string' && record.key.length > 0 && record.key.length <= 512 &&
+        Number.isFinite(record.updatedAt) &&
+        (record.deleted === true || record.data !== undefined);
+}
+
+/**
+ * Whether an incoming record should replace the stored one
+ * @param {Object|undefined} stored - Stored record
+ * @param {Object} incoming - Pushed record
+ * @returns {boolean}
+ */
+function isNewer(stored, incoming) {
+    if (!stored) return true;
+    if (incoming.updatedAt !== stored.updatedAt) return incoming.updatedAt > stored.updatedAt;
+    return (incoming.clientId || '') > (stored.clientId || '');
+}
+
+/**
+ * Apply pushed records to a trip, last writer wins per record
+ * @param {Object} trip - Stored trip
+ * @param {string} clientId - Pushing device
+ * @param {Object[]} records - Pushed records
+ * @returns {{accepted: string[], rejected: string[]}} - rejected holds the keys of
+ *          stale and malformed records; a malformed record without a key is
+ *          named by its position, e.g. 'records[2]'
+ */
+function applyRecords(trip, clientId, records) {
+    const accepted = [];
+    const rejected = [];
+
+    records.forEach((record, index) => {
+        if (!isValidRecord(record)) {
+            rejected.push(record && typeof record.key === 'string' && record.key ? record.key : `records[${index}]`);
+            return;
+        }
+
+        const incoming = {
+            key: record.key,
+            data: record.deleted ? null : record.data,
+            updatedAt: record.updatedAt,
+            deleted: record.deleted === true,
+            clientId
+        };
+        if (!isNewer(trip.records[record.key], incoming)) {
+            rejected.push(record.key);
+            return;
+        }
+
+        trip.seq++;
+        trip.records[record.key] = { ...incoming, seq: trip.seq };
+        accepted.push(record.key);
+    });
+
+    return { accepted, rejected };
+}
+
+/**
+ * Records written after a sequence number, oldest first
+ * @param {Object} trip - Stored trip
+ * @param {number} since - Last sequence number the client has
+ * @returns {Object[]}
+ */
+function changesSince(trip, since) {
+    return Object.values(trip.records)
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>}
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        let tooLarge = false;
+        const chunks = [];
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > config.maxBodyBytes) {
+                // Keep draining rather than destroying the socket, so the 413 reaches the client
+                tooLarge = true;
+                chunks.length = 0;
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (tooLarge) return;
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Complete a WebSocket handshake (RFC 6455)
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Client socket
+ */
+function acceptWebSocket(req, socket) {
+    const accept = crypto.createHash('sha1')
+        .update(`${req.headers['sec-websocket-key']}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+        .digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+}
+
+/**
+ * Build an unmasked server frame
+ * @param {number} opcode - 0x1 text, 0x8 close, 0xA pong
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split buffered bytes into complete client frames. Clients must mask
+ * their frames, and relay messages are small, so anything else is refused.
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {{frames: Object[], rest: Buffer}|null} - Frames ({ fin, opcode, payload })
+ *          and leftover bytes, or null when the client broke the rules
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7f;
+        let position = offset + 2;
+
+        if (length === 127 || !(second & 0x80)) return null;
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        }
+        if (length > config.relayMaxFrameBytes) return null;
+        if (buffer.length < position + 4 + length) break;
+
+        const mask = buffer.subarray(position, position + 4);
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = buffer[position + 4 + i] ^ mask[i % 4];
+        }
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+        offset = position + 4 + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Create the sync server
+ * @param {Object} [options] - { dataDir, token }
+ * @returns {http.Server}
+ */
+function createSyncServer(options = {}) {
+    const store = createStore(options.dataDir || config.dataDir);
+    const token = options.token !== undefined ? options.token : config.token;
+    // Open change feeds and relay sockets, keyed by trip id
+    const feeds = new Map();
+    const relays = new Map();
+
+    /**
+     * Tell every open feed for a trip that it changed
+     * @param {string} tripId - Trip id
+     * @param {number} seq - Latest sequence number
+     */
+    function notify(tripId, seq) {
+        (feeds.get(tripId) || new Set()).forEach(res => {
+            res.write(`event: change\ndata: ${JSON.stringify({ seq })}\n\n`);
+        });
+    }
+
+    /**
+     * Hold a server-sent events stream open for a trip
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {string} tripId - Trip id
+     */
+    function openFeed(req, res, tripId) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(`event: change\ndata: ${JSON.stringify({ seq: store.getTrip(tripId).seq })}\n\n`);
+
+        if (!feeds.has(tripId)) feeds.set(tripId, new Set());
+        feeds.get(tripId).add(res);
+
+        // Comments keep proxies from closing a quiet stream
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), config.heartbeatMs);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            feeds.get(tripId).delete(res);
+        });
+    }
+
+    /**
+     * Join a socket to a trip's relay and pass its messages on
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {string} tripId - Trip id
+     */
+    function joinRelay(req, socket, tripId) {
+        acceptWebSocket(req, socket);
+        if (!relays.has(tripId)) relays.set(tripId, new Set());
+        const room = relays.get(tripId);
+        room.add(socket);
+
+        let buffered = Buffer.alloc(0);
+        // Text message fragments waiting for their final frame
+        let fragments = null;
+        let fragmentBytes = 0;
+
+        const refuse = code => {
+            socket.end(encodeFrame(0x8, Buffer.from([code >> 8, code & 0xff])));
+        };
+        const broadcast = payload => {
+            room.forEach(peer => {
+                if (peer !== socket) peer.write(encodeFrame(0x1, payload));
+            });
+        };
+
+        socket.on('data', chunk => {
+            if (socket.writableEnded) return;
+            const decoded = decodeFrames(Buffer.concat([buffered, chunk]));
+            if (!decoded) {
+                refuse(1002); // protocol error
+                return;
+            }
+            buffered = decoded.rest;
+
+            for (const frame of decoded.frames) {
+                if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+                    // A new message can't start mid-message, nor a continuation outside one
+                    if ((frame.opcode === 0x1) !== (fragments === null)) {
+                        refuse(1002);
+                        return;
+                    }
+                    fragments = fragments || [];
+                    fragments.push(frame.payload);
+                    fragmentBytes += frame.payload.length;
+                    if (fragmentBytes > config.relayMaxFrameBytes) {
+                        refuse(1009); // message too big
+                        return;
+                    }
+                    if (frame.fin) {
+                        broadcast(Buffer.concat(fragments));
+                        fragments = null;
+                        fragmentBytes = 0;
+                    }
+                } else if (frame.opcode === 0x2) {
+                    refuse(1003); // relay messages are text
+                    return;
+                } else if (frame.opcode === 0x9) {
+                    socket.write(encodeFrame(0xA, frame.payload));
+                } else if (frame.opcode === 0x8) {
+                    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                    return;
+                }
+            }
+        });
+
+        const leave = () => room.delete(socket);
+        socket.on('close', leave);
+        socket.on('error', leave);
+    }
+
+    async function handle(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/health') {
+            sendJson(res, 200, { ok: true });
+            return;
+        }
+
+        // EventSource can't set headers, so the feed also takes ?token=
+        const given = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || url.searchParams.get('token');
+        if (token && given !== token) {
+            sendJson(res, 401, { error: 'Missing or wrong sync token' });
+            return;
+        }
+
+        const match = /^\/trips\/([^/]+)\/(changes|records|events)$/.exec(url.pathname);
+        if (!match || !config.tripPattern.test(match[1])) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        const [, tripId, resource] = match;
+
+        if (req.method === 'GET' && resource === 'changes') {
+            const trip = store.getTrip(tripId);
+            const since = Number(url.searchParams.get('since')) || 0;
+            sendJson(res, 200, { seq: trip.seq, records: changesSince(trip, since) });
+        } else if (req.method === 'GET' && resource === 'events') {
+            openFeed(req, res, tripId);
+        } else if (req.method === 'POST' && resource === 'records') {
+            const body = await readJson(req);
+            if (!body || typeof body.clientId !== 'string' || !Array.isArray(body.records)) {
+                sendJson(res, 400, { error: 'Expected { clientId, records: [] }' });
+                return;
+            }
+
+            const trip = store.getTrip(tripId);
+            const result = applyRecords(trip, body.clientId, body.records);
+            if (result.accepted.length > 0) {
+                store.scheduleSave(tripId);
+                notify(tripId, trip.seq);
+            }
+            sendJson(res, 200, { seq: trip.seq, ...result });
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            if (!error.status) console.error('[Sync] Request failed:', error);
+            if (res.headersSent) return;
+            // Don't wait for the rest of a body we've refused
+            if (error.status === 413) res.setHeader('Connection', 'close');
+            sendJson(res, error.status || 500, { error: error.message });
+        });
+    });
+    server.on('upgrade', (req, socket) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = /^\/trips\/([^/]+)\/relay$/.exec(url.pathname);
+        if (!match || !config.tripPattern.test(match[1]) || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        // Browsers can't set headers on a WebSocket either
+        if (token && url.searchParams.get('token') !== token) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        joinRelay(req, socket, match[1]);
+    });
+
+    // Relay sockets left HTTP behind when they upgraded, so close them here
+    const closeServer = server.close.bind(server);
+    server.close = callback => {
+        relays.forEach(room => room.forEach(socket => socket.destroy()));
+        return closeServer(callback);
+    };
+
+    server.on('close', () => store.flush());
+    return server;
+}
+
+if (require.main === module) {
+    const server = createSyncServer();
+    server.listen(config.port, config.host, () => {
+        console.log(`[Sync] Listening on http://${config.host}:${config.port}, saving to ${config.dataDir}`);
+        if (!config.token) console.log('[Sync] No SYNC_TOKEN set; anyone who can reach this port can read and write trips');
+    });
+
+    const shutdown = () => {
+        server.close();
+        server.closeAllConnections();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+// Export for module systems
+module.exports = { createSyncServer, applyRecords, changesSince };
@@ -0,0 +1,289 @@
+/**
+ * Suggestions Module
+ * Alternative proposals for each activity slot. Anyone can propose an
+ * alternative, vote for or against each proposal and leave a comment;
+ * the proposal with the best tally leads.
+ */
+
+const SuggestionsModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        storageKey: TripsModule.storageKey('suggestions'),
+        maxCommentLength: 140
+    };
+
+    // Private state
+    let suggestions = load();
+
+    /**
+     * Bring stored suggestions up to date. Older saves held a single
+     * { alternativeId, suggestedBy, timestamp } per activity; their
+     * proposals get an id made from the activity and alternative, so it is
+     * the same on every load and every device that merges them.
+     * @param {Object} stored - Suggestions keyed by activity id
+     * @returns {Object} - Proposal lists keyed by activity id
+     */
+    function normalize(stored) {
+        const normalized = {};
+        if (!stored || typeof stored !== 'object') return normalized;
+
+        Object.entries(stored).forEach(([activityId, value]) => {
+            const proposals = (Array.isArray(value) ? value : [value])
+                .filter(proposal => proposal && proposal.alternativeId)
+                .map(proposal => ({
+                    id: proposal.id || `prop-${activityId}-${proposal.alternativeId}`,
+                    alternativeId: proposal.alternativeId,
+                    suggestedBy: proposal.suggestedBy || '',
+                    timestamp: proposal.timestamp || 0,
+                    votes: proposal.votes || (proposal.suggestedBy ? { [proposal.suggestedBy]: 1 } : {}),
+                    comments: Array.isArray(proposal.comments) ? proposal.comments : []
+                }));
+            if (proposals.length > 0) normalized[activityId] = proposals;
+        });
+        return normalized;
+    }
+
+    /**
+     * Load suggestions from localStorage
+     * @returns {Object}
+     */
+    function load() {
+        try {
+            return normalize(JSON.parse(localStorage.getItem(config.storageKey)));
+        } catch (error) {
+            console.warn('[Suggestions] Failed to load suggestions:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist suggestions
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.storageKey, JSON.stringify(suggestions));
+            TripsModule.announceSave(config.storageKey);
+        } catch (error) {
+            console.error('[Suggestions] Failed to save suggestions:', error);
+        }
+    }
+
+    /**
+     * Re-read suggestions, e.g. after another tab saved them
+     */
+    function reload() {
+        suggestions = load();
+    }
+
+    /**
+     * Generate a proposal id
+     * @returns {string}
+     */
+    function createId() {
+        return `prop-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Longest comment kept
+     * @returns {number}
+     */
+    function getMaxCommentLength() {
+        return config.maxCommentLength;
+    }
+
+    /**
+     * Get every activity's proposals, e.g. for export
+     * @returns {Object} - Proposal lists keyed by activity id
+     */
+    function getAll() {
+        return suggestions;
+    }
+
+    /**
+     * Replace all suggestions, e.g. after an import
+     * @param {Object} stored - Suggestions in the current or an older shape
+     */
+    function replaceAll(stored) {
+        suggestions = normalize(stored);
+        save();
+    }
+
+    /**
+     * Get an activity's proposals in the order they were made
+     * @param {string} activityId - Activity id
+     * @returns {Object[]} - { id, alternativeId, suggestedBy, timestamp, votes, comments }
+     */
+    function getProposals(activityId) {
+        return suggestions[activityId] || [];
+    }
+
+    /**
+     * Get a proposal
+     * @param {string} activityId - Activity id
+     * @param {string} proposalId - Proposal id
+     * @returns {Object|null}
+     */
+    function getProposal(activityId, proposalId) {
+        return getProposals(activityId).find(proposal => proposal.id === proposalId) || null;
+    }
+
+    /**
+     * Count a proposal's votes
+     * @param {Object} proposal - Proposal
+     * @returns {{for: number, against: number, score: number}}
+     */
+    function tally(proposal) {
+        const values = Object.values(proposal.votes);
+        const votesFor = values.filter(value => value > 0).length;
+        const votesAgainst = values.filter(value => value < 0).length;
+        return { for: votesFor, against: votesAgainst, score: votesFor - votesAgainst };
+    }
+
+    /**
+     * Get the leading proposal: best score, earliest on a tie
+     * @param {string} activityId - Activity id
+     * @returns {Object|null}
+     */
+    function getLeader(activityId) {
+        return getProposals(activityId).reduce((leader, proposal) => {
+            if (!leader) return proposal;
+            return tally(proposal).score > tally(leader).score ? proposal : leader;
+        }, null);
+    }
+
+    /**
+     * Propose an alternative for an activity. The proposer votes for it;
+     * proposing something already on the list just adds their vote.
+     * @param {string} activityId - Activity id
+     * @param {string} alternativeId - Alternative id
+     * @param {string} who - Traveller name
+     * @returns {{proposal: Object, created: boolean}}
+     */
+    function propose(activityId, alternativeId, who) {
+        const existing = getProposals(activityId).find(proposal => proposal.alternativeId === alternativeId);
+        if (existing) {
+            existing.votes[who] = 1;
+            save();
+            return { proposal: existing, created: false };
+        }
+
+        const proposal = {
+            id: createId(),
+            alternativeId,
+            suggestedBy: who,
+            timestamp: Date.now(),
+            votes: { [who]: 1 },
+            comments: []
+        };
+        suggestions[activityId] = [...getProposals(activityId), proposal];
+        save();
+        return { proposal, created: true };
+    }
+
+    /**
+     * Set a traveller's vote on a proposal
+     * @param {string} activityId - Activity id
+     * @param {string} proposalId - Proposal id
+     * @param {string} who - Traveller name
+     * @param {number} value - 1 for, -1 against, 0 to withdraw the vote
+     * @returns {Object|null} - The updated proposal
+     */
+    function vote(activityId, proposalId, who, value) {
+        const proposal = getProposal(activityId, proposalId);
+        if (!proposal || !who) return null;
+
+        if (value > 0) proposal.votes[who] = 1;
+        else if (value < 0) proposal.votes[who] = -1;
+        else delete proposal.votes[who];
+        save();
+        return proposal;
+    }
+
+    /**
+     * Comment on a proposal
+     * @param {string} activityId - Activity id
+     * @param {string} proposalId - Proposal id
+     * @param {string} who - Traveller name
+     * @param {string} text - Comment, trimmed to the maximum length
+     * @returns {Object|null} - The comment, or null when empty
+     */
+    function addComment(activityId, proposalId, who, text) {
+        const proposal = getProposal(activityId, proposalId);
+        const trimmed = (text || '').trim().slice(0, config.maxCommentLength);
+        if (!proposal || !who || !trimmed) return null;
+
+        const comment = { by: who, text: trimmed, timestamp: Date.now() };
+        proposal.comments.push(comment);
+        save();
+        return comment;
+    }
+
+    /**
+     * Withdraw a proposal
+     * @param {string} activityId - Activity id
+     * @param {string} proposalId - Proposal id
+     * @returns {boolean} - Success status
+     */
+    function removeProposal(activityId, proposalId) {
+        const proposals = getProposals(activityId);
+        const remaining = proposals.filter(proposal => proposal.id !== proposalId);
+        if (remaining.length === proposals.length) return false;
+
+        if (remaining.length > 0) suggestions[activityId] = remaining;
+        else delete suggestions[activityId];
+        save();
+        return true;
+    }
+
+    /**
+     * Put an activity's proposals back, e.g. when a swap is undone
+     * @param {string} activityId - Activity id
+     * @param {Object[]} proposals - Proposals
+     */
+    function setProposals(activityId, proposals) {
+        const normalized = normalize({ [activityId]: proposals });
+        if (normalized[activityId]) suggestions[activityId] = normalized[activityId];
+        else delete suggestions[activityId];
+        save();
+    }
+
+    /**
+     * Drop every proposal for an activity
+     * @param {string} activityId - Activity id
+     * @returns {boolean} - Whether there was anything to clear
+     */
+    function clearActivity(activityId) {
+        if (!suggestions[activityId]) return false;
+
+        delete suggestions[activityId];
+        save();
+        return true;
+    }
+
+    // Public API
+    return {
+        normalize,
+        reload,
+        getAll,
+        replaceAll,
+        getProposals,
+        getProposal,
+        tally,
+        getLeader,
+        propose,
+        vote,
+        addComment,
+        removeProposal,
+        setProposals,
+        clearActivity,
+        getMaxCommentLength
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SuggestionsModule;
+}
@@ -0,0 +1,467 @@
+/**
+ * Sync Module
+ * Keeps a trip's suggestions, votes, comments, expenses and itinerary
+ * edits in step with other devices through the self-hosted sync server
+ * (server/sync-server.js).
+ *
+ * The trip is flattened into small records (one per activity, proposal,
+ * vote, comment, expense...). A record is stamped with the time it was
+ * last seen to change here, so concurrent edits to different records
+ * merge and edits to the same record go to the last writer.
+ */
+
+const SyncModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        storageKey: TripsModule.storageKey('sync'),
+        clientKey: 'syncClientId',
+        intervalMs: 15000,
+        // Wait this long after a local save before pushing, to batch bursts
+        pushDelayMs: 1000
+    };
+
+    // Private state
+    let state = load();
+    let callbacks = {};
+    let timer = null;
+    let feed = null;
+    let running = null;
+    let queued = false;
+    let pushTimer = null;
+    let applying = false;
+    let status = { state: state.server ? 'idle' : 'off', lastSync: state.lastSync || null, message: '' };
+
+    /**
+     * Load sync settings and the last known records
+     * @returns {Object} - { server, trip, token, cursor, lastSync, records }
+     */
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(config.storageKey));
+            if (stored && stored.records) return stored;
+        } catch (error) {
+            console.warn('[Sync] Failed to load sync state:', error);
+        }
+        return { server: '', trip: '', token: '', cursor: 0, lastSync: null, records: {} };
+    }
+
+    /**
+     * Persist sync state
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.storageKey, JSON.stringify(state));
+        } catch (error) {
+            console.error('[Sync] Failed to save sync state:', error);
+        }
+    }
+
+    /**
+     * Re-read sync state after another tab synced, so this tab doesn't
+     * push changes it has already seen as new ones
+     */
+    function reload() {
+        state = load();
+    }
+
+    /**
+     * This device's id, shared by every trip. Breaks timestamp ties.
+     * @returns {string}
+     */
+    function getClientId() {
+        let clientId = localStorage.getItem(config.clientKey);
+        if (!clientId) {
+            clientId = `dev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            localStorage.setItem(config.clientKey, clientId);
+        }
+        return clientId;
+    }
+
+    /**
+     * JSON with object keys sorted, so equal data always compares equal
+     * @param {*} value - JSON-compatible value
+     * @returns {string}
+     */
+    function stableStringify(value) {
+        if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * Build a record key from its parts, e.g. 'vote/sensoji/prop-1/Mat'
+     * @param {...string} parts - Key parts
+     * @returns {string}
+     */
+    function makeKey(...parts) {
+        return parts.map(part => encodeURIComponent(String(part))).join('/');
+    }
+
+    /**
+     * Flatten the trip into records
+     * @returns {Object} - Record data keyed by record key
+     */
+    function collectRecords() {
+        const records = {};
+        const { days, alternatives, ...plan } = ItineraryModule.getData();
+
+        records.plan = plan;
+        days.forEach(day => {
+            const { activities, ...fields } = day;
+            records[makeKey('day', day.id)] = fields;
+            activities.forEach((activity, order) => {
+                records[makeKey('activity', activity.id)] = { dayId: day.id, order, activity };
+            });
+        });
+        Object.entries(alternatives || {}).forEach(([id, alternative]) => {
+            records[makeKey('alternative', id)] = alternative;
+        });
+
+        Object.entries(SuggestionsModule.getAll()).forEach(([activityId, proposals]) => {
+            proposals.forEach(proposal => {
+                const { votes, comments, ...fields } = proposal;
+                records[makeKey('proposal', activityId, proposal.id)] = { activityId, ...fields };
+                Object.entries(votes).forEach(([who, value]) => {
+                    records[makeKey('vote', activityId, proposal.id, who)] = { who, value };
+                });
+                comments.forEach(comment => {
+                    records[makeKey('comment', activityId, proposal.id, comment.timestamp, comment.by)] = comment;
+                });
+            });
+        });
+
+        ExpensesModule.getExpenses().forEach(expense => {
+            records[makeKey('expense', expense.id)] = expense;
+        });
+        return records;
+    }
+
+    /**
+     * Rebuild the trip from records and hand it to each module
+     * @param {Object} records - Record data keyed by record key
+     */
+    function applyRecords(records) {
+        const byType = type => Object.entries(records)
+            .filter(([key]) => key.startsWith(`${type}/`))
+            .map(([, data]) => data);
+
+        const activities = byType('activity');
+        const days = byType('day')
+            .sort((a, b) => a.number - b.number)
+            .map(day => ({
+                ...day,
+                activities: activities
+                    .filter(entry => entry.dayId === day.id)
+                    .sort((a, b) => a.order - b.order || a.activity.id.localeCompare(b.activity.id))
+                    .map(entry => entry.activity)
+            }));
+        const alternatives = {};
+        Object.entries(records).forEach(([key, data]) => {
+            if (key.startsWith('alternative/')) alternatives[decodeURIComponent(key.slice(12))] = data;
+        });
+        ItineraryModule.replaceData({ ...(records.plan || {}), days, alternatives });
+
+        const suggestions = {};
+        const proposals = {};
+        byType('proposal').sort((a, b) => a.timestamp - b.timestamp).forEach(({ activityId, ...fields }) => {
+            const proposal = { ...fields, votes: {}, comments: [] };
+            proposals[`${activityId}/${proposal.id}`] = proposal;
+            (suggestions[activityId] = suggestions[activityId] || []).push(proposal);
+        });
+        Object.entries(records).forEach(([key, data]) => {
+            const [type, activityId, proposalId] = key.split('/').map(decodeURIComponent);
+            const proposal = proposals[`${activityId}/${proposalId}`];
+            if (!proposal) return;
+            if (type === 'vote') proposal.votes[data.who] = data.value;
+            if (type === 'comment') proposal.comments.push(data);
+        });
+        Object.values(proposals).forEach(proposal => proposal.comments.sort((a, b) => a.timestamp - b.timestamp));
+        SuggestionsModule.replaceAll(suggestions);
+
+        ExpensesModule.replaceAll(byType('expense').sort((a, b) => a.createdAt - b.createdAt));
+    }
+
+    /**
+     * Stamp records that changed here since the last sync. On the first
+     * sync everything is stamped 0 with no device, so any copy already
+     * on the server wins and only what it lacks is pushed.
+     * @returns {number} - How many records changed
+     */
+    function stampLocalChanges() {
+        const now = Date.now();
+        const clientId = getClientId();
+        const firstSync = state.cursor === 0 && Object.keys(state.records).length === 0;
+        const local = collectRecords();
+        let changed = 0;
+
+        Object.entries(local).forEach(([key, data]) => {
+            const json = stableStringify(data);
+            const known = state.records[key];
+            if (known && !known.deleted && known.json === json) return;
+
+            state.records[key] = firstSync
+                ? { json, updatedAt: 0, deleted: false, clientId: '', pending: true }
+                : { json, updatedAt: now, deleted: false, clientId, pending: true };
+            changed++;
+        });
+        Object.entries(state.records).forEach(([key, known]) => {
+            if (known.deleted || key in local) return;
+            state.records[key] = { json: null, updatedAt: now, deleted: true, clientId, pending: true };
+            changed++;
+        });
+        return changed;
+    }
+
+    /**
+     * Whether a pulled record beats the one we have
+     * @param {Object|undefined} known - Our record
+     * @param {Object} incoming - Pulled record
+     * @returns {boolean}
+     */
+    function isNewer(known, incoming) {
+        if (!known) return true;
+        if (incoming.updatedAt !== known.updatedAt) return incoming.updatedAt > known.updatedAt;
+        return (incoming.clientId || '') > (known.clientId || '');
+    }
+
+    /**
+     * Call the server
+     * @param {string} path - Path below the trip, e.g. 'changes?since=3'
+     * @param {Object} [body] - JSON body to POST
+     * @returns {Promise<Object>}
+     */
+    async function request(path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (state.token) headers.Authorization = `Bearer ${state.token}`;
+
+        const response = await fetch(`${state.server}/trips/${encodeURIComponent(state.trip)}/${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Sync server replied ${response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * Report progress to the page
+     * @param {Object} changes - Status fields to change
+     */
+    function setStatus(changes) {
+        status = { ...status, ...changes };
+        if (callbacks.onStatus) callbacks.onStatus(status);
+    }
+
+    /**
+     * One round: pull the server's changes, stamp ours, merge, then push ours
+     * @returns {Promise<{sent: number, received: number}>}
+     */
+    async function runSync() {
+        const pulled = await request(`changes?since=${state.cursor}`);
+
+        // Stamp only now, so edits made while the pull was in flight are
+        // part of the merge rather than overwritten by it
+        stampLocalChanges();
+        let received = 0;
+        pulled.records.forEach(record => {
+            if (!isNewer(state.records[record.key], record)) return;
+            state.records[record.key] = {
+                json: record.deleted ? null : stableStringify(record.data),
+                updatedAt: record.updatedAt,
+                deleted: record.deleted,
+                clientId: record.clientId
+            };
+            received++;
+        });
+        state.cursor = pulled.seq;
+
+        if (received > 0) {
+            const merged = {};
+            Object.entries(state.records).forEach(([key, record]) => {
+                if (!record.deleted) merged[key] = JSON.parse(record.json);
+            });
+            applying = true;
+            try {
+                applyRecords(merged);
+            } finally {
+                applying = false;
+            }
+            if (callbacks.onRemoteChange) callbacks.onRemoteChange();
+        }
+
+        const pending = Object.entries(state.records).filter(([, record]) => record.pending);
+        if (pending.length > 0) {
+            await request('records', {
+                clientId: getClientId(),
+                records: pending.map(([key, record]) => ({
+                    key,
+                    data: record.deleted ? null : JSON.parse(record.json),
+                    updatedAt: record.updatedAt,
+                    deleted: record.deleted
+                }))
+            });
+            // Anything the server turned down comes back newer on the next pull
+            pending.forEach(([, record]) => delete record.pending);
+        }
+
+        state.lastSync = Date.now();
+        save();
+        return { sent: pending.length, received };
+    }
+
+    /**
+     * Sync now. Calls made while a sync is running queue one more round.
+     * @returns {Promise<Object|null>} - { sent, received }, or null when not connected
+     */
+    async function syncNow() {
+        if (!state.server || !state.trip) return null;
+        if (running) {
+            queued = true;
+            return running;
+        }
+
+        setStatus({ state: 'syncing', message: '' });
+        running = runSync()
+            .then(result => {
+                setStatus({ state: 'idle', lastSync: state.lastSync, ...result });
+                return result;
+            })
+            .catch(error => {
+                console.warn('[Sync] Sync failed:', error);
+                save();
+                setStatus({ state: 'error', message: navigator.onLine === false ? 'Offline' : error.message });
+                return null;
+            })
+            .finally(() => {
+                running = null;
+                if (queued) {
+                    queued = false;
+                    syncNow();
+                }
+            });
+        return running;
+    }
+
+    /**
+     * Sync shortly after a local save, so other devices see it within
+     * seconds instead of on the next timer round
+     */
+    function requestSync() {
+        if (!state.server || !state.trip || applying) return;
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(syncNow, config.pushDelayMs);
+    }
+
+    /**
+     * Listen to the server's change feed and sync on a timer
+     */
+    function start() {
+        stop();
+        timer = setInterval(syncNow, config.intervalMs);
+
+        if (typeof EventSource !== 'undefined') {
+            const token = state.token ? `?token=${encodeURIComponent(state.token)}` : '';
+            feed = new EventSource(`${state.server}/trips/${encodeURIComponent(state.trip)}/events${token}`);
+            feed.addEventListener('change', event => {
+                const { seq } = JSON.parse(event.data);
+                if (seq > state.cursor) syncNow();
+            });
+        }
+        syncNow();
+    }
+
+    /**
+     * Stop listening and syncing
+     */
+    function stop() {
+        clearInterval(timer);
+        clearTimeout(pushTimer);
+        timer = null;
+        if (feed) feed.close();
+        feed = null;
+    }
+
+    /**
+     * Set up callbacks and resume syncing if this trip was connected
+     * @param {Object} options - { onRemoteChange, onStatus }
+     */
+    function init(options = {}) {
+        callbacks = options;
+        if (state.server && state.trip) start();
+        window.addEventListener('online', syncNow);
+        window.addEventListener('tripdatasaved', requestSync);
+    }
+
+    /**
+     * Connect this trip to a sync server
+     * @param {Object} settings - { server, trip, token }
+     * @returns {Promise<Object|null>} - Result of the first sync
+     */
+    function connect(settings) {
+        const server = (settings.server || '').trim().replace(/\/+$/, '');
+        const trip = (settings.trip || '').trim();
+        if (!/^https?:\/\//.test(server) || !/^[A-Za-z0-9_-]{1,64}$/.test(trip)) {
+            return Promise.reject(new Error('Enter the server address and a trip code (letters, numbers, - or _)'));
+        }
+
+        state = { server, trip, token: (settings.token || '').trim(), cursor: 0, lastSync: null, records: {} };
+        save();
+        start();
+        return running;
+    }
+
+    /**
+     * Stop syncing this trip. Local data stays as it is.
+     */
+    function disconnect() {
+        stop();
+        state = { server: '', trip: '', token: '', cursor: 0, lastSync: null, records: {} };
+        save();
+        setStatus({ state: 'off', lastSync: null, message: '' });
+    }
+
+    /**
+     * Current settings, without the record store
+     * @returns {{server: string, trip: string, token: string}}
+     */
+    function getSettings() {
+        return { server: state.server, trip: state.trip, token: state.token };
+    }
+
+    /**
+     * Latest sync status
+     * @returns {{state: string, lastSync: number|null, message: string}} - state is
+     *          'off', 'idle', 'syncing' or 'error'
+     */
+    function getStatus() {
+        return status;
+    }
+
+    // Public API
+    return {
+        init,
+        reload,
+        connect,
+        disconnect,
+        syncNow,
+        requestSync,
+        getSettings,
+        getStatus
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncModule;
+}
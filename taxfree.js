@@ -0,0 +1,160 @@
+/**
+ * Tax-Free Module
+ * Shopping baskets grouped by store visit (one store on one day), with
+ * Japan's 10% consumption tax and the tax-free minimum spend worked out
+ * per visit
+ */
+
+const TaxFreeModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        storageKey: TripsModule.storageKey('taxfree'),
+        taxRate: 0.10,
+        // Tax-free needs this much per store, per day, before tax
+        minimumJpy: 5000
+    };
+
+    // Private state
+    let items = load();
+
+    /**
+     * Load basket items from localStorage
+     * @returns {Object[]}
+     */
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(config.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('[TaxFree] Failed to load basket:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist basket items
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.storageKey, JSON.stringify(items));
+        } catch (error) {
+            console.error('[TaxFree] Failed to save basket:', error);
+        }
+    }
+
+    /**
+     * Get the tax rules
+     * @returns {{taxRate: number, minimumJpy: number}}
+     */
+    function getRules() {
+        return { taxRate: config.taxRate, minimumJpy: config.minimumJpy };
+    }
+
+    /**
+     * Split a shelf price into its pre-tax amount and tax
+     * @param {number} jpy - Price in yen
+     * @param {boolean} taxIncluded - Whether the price already includes tax (税込)
+     * @returns {{inclusive: number, exclusive: number, tax: number}}
+     */
+    function splitTax(jpy, taxIncluded = true) {
+        const exclusive = taxIncluded ? Math.round(jpy / (1 + config.taxRate)) : jpy;
+        const inclusive = taxIncluded ? jpy : Math.floor(jpy * (1 + config.taxRate));
+        return { inclusive, exclusive, tax: inclusive - exclusive };
+    }
+
+    /**
+     * Today's local date
+     * @returns {string} - 'YYYY-MM-DD'
+     */
+    function today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Add an item to a store's basket
+     * @param {Object} fields - { name, store, date, jpy, taxIncluded }; date is the
+     *        visit's 'YYYY-MM-DD' and defaults to today
+     * @returns {Object|null} - The created item, or null when the price is invalid
+     */
+    function addItem(fields) {
+        const jpy = Math.round(Number(fields.jpy));
+        if (!(jpy > 0) || !fields.name) return null;
+
+        const item = {
+            id: `tf-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: fields.name,
+            store: (fields.store || '').trim() || 'Any store',
+            date: /^\d{4}-\d{2}-\d{2}$/.test(fields.date || '') ? fields.date : today(),
+            jpy,
+            taxIncluded: fields.taxIncluded !== false
+        };
+        items.push(item);
+        save();
+        return item;
+    }
+
+    /**
+     * Remove an item
+     * @param {string} itemId - Item id
+     * @returns {boolean} - Success status
+     */
+    function removeItem(itemId) {
+        const index = items.findIndex(item => item.id === itemId);
+        if (index === -1) return false;
+
+        items.splice(index, 1);
+        save();
+        return true;
+    }
+
+    /**
+     * Work out each store visit's totals and whether it qualifies. A visit
+     * is one store on one day; items saved before dates were kept share
+     * an undated visit per store.
+     * @returns {{store: string, date: string, items: Object[], inclusive: number,
+     *            exclusive: number, tax: number, eligible: boolean, shortfall: number}[]} -
+     *            date is 'YYYY-MM-DD' or '', shortfall is the pre-tax yen still
+     *            needed to reach the minimum
+     */
+    function getVisits() {
+        const visits = new Map();
+        items.forEach(item => {
+            const date = item.date || '';
+            const key = `${date}|${item.store}`;
+            if (!visits.has(key)) {
+                visits.set(key, { store: item.store, date, items: [], inclusive: 0, exclusive: 0, tax: 0 });
+            }
+            const visit = visits.get(key);
+            const price = splitTax(item.jpy, item.taxIncluded);
+            visit.items.push({ ...item, ...price });
+            visit.inclusive += price.inclusive;
+            visit.exclusive += price.exclusive;
+            visit.tax += price.tax;
+        });
+
+        return Array.from(visits.values()).map(visit => ({
+            ...visit,
+            eligible: visit.exclusive >= config.minimumJpy,
+            shortfall: Math.max(0, config.minimumJpy - visit.exclusive)
+        }));
+    }
+
+    // Public API
+    return {
+        getRules,
+        today,
+        splitTax,
+        addItem,
+        removeItem,
+        getVisits
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxFreeModule;
+}
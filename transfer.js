@@ -0,0 +1,489 @@
+/**
+ * Transfer Module
+ * Builds, validates and merges versioned trip export files so a plan made
+ * on one device can be carried to another, either as a file or packed
+ * into a share link's URL fragment
+ */
+
+const TransferModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        format: 'family-trip-itinerary',
+        schemaVersion: 2,
+        shareParam: 'share',
+        compression: 'deflate-raw',
+        // Day, activity and alternative ids end up in attributes and lookups
+        idPattern: /^[A-Za-z0-9_-]+$/,
+        // Optional text fields the page shows; imports may leave them out
+        // but must not change their type
+        dayText: ['tab', 'title', 'summary'],
+        activityText: ['title', 'emoji', 'description', 'slot', 'displayTime', 'start', 'address', 'distance', 'hours', 'tips', 'websiteName'],
+        alternativeText: ['emoji', 'desc', 'cost', 'time', 'address', 'hours', 'tips', 'websiteName']
+    };
+
+    /**
+     * Deep copy a JSON-compatible value
+     * @param {*} value - Value to copy
+     * @returns {*}
+     */
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Build an export payload for a trip
+     * @param {Object} trip - Trip metadata from TripsModule
+     * @param {Object} itinerary - Itinerary model (days, tips, alternatives, budget)
+     * @param {Object} suggestions - Proposal lists keyed by activity id
+     * @returns {Object}
+     */
+    function buildExport(trip, itinerary, suggestions) {
+        return {
+            format: config.format,
+            schemaVersion: config.schemaVersion,
+            exportedAt: new Date().toISOString(),
+            trip: {
+                name: trip.name,
+                subtitle: trip.subtitle,
+                emoji: trip.emoji,
+                hotel: trip.hotel,
+                startDate: trip.startDate || ''
+            },
+            itinerary: clone(itinerary),
+            suggestions: clone(suggestions)
+        };
+    }
+
+    /**
+     * Whether a value is text or left out
+     * @param {*} value - Field value
+     * @returns {boolean}
+     */
+    function isOptionalText(value) {
+        return value === undefined || value === null || typeof value === 'string';
+    }
+
+    /**
+     * Whether a value is a usable day, activity or alternative id
+     * @param {*} value - Id
+     * @returns {boolean}
+     */
+    function isId(value) {
+        return typeof value === 'string' && config.idPattern.test(value);
+    }
+
+    /**
+     * Whether a value is a plain object (not an array or null)
+     * @param {*} value - Value
+     * @returns {boolean}
+     */
+    function isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Whether a value is a web address or left out. Control characters
+     * are refused so a link can't break out of a calendar line.
+     * @param {*} value - Field value
+     * @returns {boolean}
+     */
+    function isOptionalLink(value) {
+        return isOptionalText(value) && (!value || (/^https?:\/\//i.test(value) && !/[\u0000-\u001f\u007f]/.test(value)));
+    }
+
+    /**
+     * Whether a value is a price ({ jpy, jpyEnd, label, bands }) or left out.
+     * Prices are added up and written into attributes, so amounts must be numbers.
+     * @param {*} price - Field value
+     * @returns {boolean}
+     */
+    function isOptionalPrice(price) {
+        if (price === undefined || price === null) return true;
+        const isAmount = band => band && Number.isFinite(band.jpy) &&
+            (band.jpyEnd === undefined || Number.isFinite(band.jpyEnd));
+        return isAmount(price) && isOptionalText(price.label) && isOptionalText(price.unit) &&
+            (price.bands === undefined || (Array.isArray(price.bands) && price.bands.every(isAmount)));
+    }
+
+    /**
+     * Check a record's text fields
+     * @param {Object} record - Day, activity or alternative
+     * @param {string[]} fields - Optional text fields
+     * @param {string} label - How to name the record in the error
+     * @throws {Error} - When a field has the wrong type
+     */
+    function checkText(record, fields, label) {
+        const bad = fields.find(field => !isOptionalText(record[field]));
+        if (bad) throw new Error(`${label} has a malformed ${bad}`);
+    }
+
+    /**
+     * Check an activity's rendered fields
+     * @param {Object} activity - Activity
+     * @param {string} label - How to name the activity in the error
+     * @throws {Error} - When a field has the wrong type
+     */
+    function checkActivity(activity, label) {
+        checkText(activity, config.activityText, label);
+
+        const badPrice = !isOptionalPrice(activity.price);
+        const badBadge = activity.badge && (typeof activity.badge.label !== 'string' || !isOptionalText(activity.badge.type));
+        const badTags = activity.tags !== undefined && (!Array.isArray(activity.tags) ||
+            activity.tags.some(tag => !tag || typeof tag.text !== 'string' || !isOptionalText(tag.type)));
+        const badLink = !isOptionalLink(activity.website) ||
+            (activity.link && (!isOptionalLink(activity.link.href) || typeof activity.link.label !== 'string'));
+
+        if (badPrice) throw new Error(`${label} has a malformed price`);
+        if (badBadge) throw new Error(`${label} has a malformed badge`);
+        if (badTags) throw new Error(`${label} has malformed tags`);
+        if (badLink) throw new Error(`${label} has a link that isn't a web address`);
+    }
+
+    /**
+     * Check one proposal. Schema v1 files held a single { alternativeId,
+     * suggestedBy, timestamp } per activity, without votes or comments.
+     * @param {Object} proposal - Proposal
+     * @param {boolean} legacy - Whether the file predates votes and comments
+     * @param {string} label - How to name the proposal in the error
+     * @throws {Error} - When the proposal is malformed
+     */
+    function checkProposal(proposal, legacy, label) {
+        if (!isPlainObject(proposal) || typeof proposal.alternativeId !== 'string' ||
+            !isOptionalText(proposal.id) || !isOptionalText(proposal.suggestedBy)) {
+            throw new Error(`${label} is malformed`);
+        }
+
+        const votes = proposal.votes;
+        if (!(legacy && votes === undefined) &&
+            (!isPlainObject(votes) || Object.values(votes).some(value => value !== 1 && value !== -1))) {
+            throw new Error(`${label} has malformed votes`);
+        }
+
+        const comments = proposal.comments;
+        const isComment = comment => isPlainObject(comment) && typeof comment.by === 'string' &&
+            typeof comment.text === 'string' && Number.isFinite(comment.timestamp);
+        if (!(legacy && comments === undefined) && (!Array.isArray(comments) || !comments.every(isComment))) {
+            throw new Error(`${label} has malformed comments`);
+        }
+    }
+
+    /**
+     * Parse and validate an export file
+     * @param {string} text - File contents
+     * @returns {Object} - Validated payload
+     * @throws {Error} - When the file is not a usable export
+     */
+    function parse(text) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!payload || payload.format !== config.format) {
+            throw new Error('Not an itinerary export file');
+        }
+        if (!Number.isInteger(payload.schemaVersion) || payload.schemaVersion < 1) {
+            throw new Error('Missing schema version');
+        }
+        if (payload.schemaVersion > config.schemaVersion) {
+            throw new Error(`File uses schema v${payload.schemaVersion}; this app reads up to v${config.schemaVersion}`);
+        }
+
+        const itinerary = payload.itinerary;
+        if (!itinerary || !Array.isArray(itinerary.days)) {
+            throw new Error('Export has no days');
+        }
+        itinerary.days.forEach((day, i) => {
+            if (!day || !isId(day.id) || !Number.isInteger(day.number) || !Array.isArray(day.activities)) {
+                throw new Error(`Day ${i + 1} is malformed`);
+            }
+            checkText(day, config.dayText, `Day ${i + 1}`);
+            if (day.tips !== undefined && (!Array.isArray(day.tips) || day.tips.some(tip => typeof tip !== 'string'))) {
+                throw new Error(`Day ${i + 1} has malformed tips`);
+            }
+            day.activities.forEach(activity => {
+                if (!activity || !isId(activity.id) || typeof activity.name !== 'string') {
+                    throw new Error(`An activity on ${day.id} has a malformed id or no name`);
+                }
+                checkActivity(activity, `Activity ${activity.id}`);
+
+                const original = activity.swappedFrom && activity.swappedFrom.activity;
+                if (activity.swappedFrom && (!original || !isId(original.id) || typeof original.name !== 'string')) {
+                    throw new Error(`Activity ${activity.id} has a malformed swap`);
+                }
+                if (original) checkActivity(original, `Activity ${activity.id}'s original`);
+            });
+        });
+
+        itinerary.alternatives = itinerary.alternatives || {};
+        if (typeof itinerary.alternatives !== 'object' || Array.isArray(itinerary.alternatives)) {
+            throw new Error('Alternatives are malformed');
+        }
+        Object.entries(itinerary.alternatives).forEach(([id, alternative]) => {
+            if (!isId(id)) {
+                throw new Error('An alternative has a malformed id');
+            }
+            if (!alternative || typeof alternative.name !== 'string') {
+                throw new Error(`Alternative ${id} is missing its name`);
+            }
+            checkText(alternative, config.alternativeText, `Alternative ${id}`);
+            if (!isOptionalLink(alternative.website)) {
+                throw new Error(`Alternative ${id} has a link that isn't a web address`);
+            }
+            if (!isOptionalPrice(alternative.price)) {
+                throw new Error(`Alternative ${id} has a malformed price`);
+            }
+        });
+
+        payload.suggestions = payload.suggestions || {};
+        if (!isPlainObject(payload.suggestions)) {
+            throw new Error('Suggestions are malformed');
+        }
+        const activityIds = new Set();
+        itinerary.days.forEach(day => day.activities.forEach(activity => activityIds.add(activity.id)));
+        const legacy = payload.schemaVersion < 2;
+        Object.entries(payload.suggestions).forEach(([activityId, value]) => {
+            if (!activityIds.has(activityId)) {
+                throw new Error('Suggestions mention an activity that isn\'t in the file');
+            }
+            const proposals = legacy && !Array.isArray(value) ? [value] : value;
+            if (!Array.isArray(proposals)) {
+                throw new Error(`Suggestions for ${activityId} are malformed`);
+            }
+            proposals.forEach((proposal, i) => checkProposal(proposal, legacy, `Suggestion ${i + 1} for ${activityId}`));
+        });
+        payload.trip = payload.trip || {};
+
+        return payload;
+    }
+
+    /**
+     * Merge an incoming itinerary into a local one. Local activities win;
+     * incoming activities that don't exist locally are inserted after the
+     * activity that preceded them in the file.
+     * @param {Object} local - Local itinerary model
+     * @param {Object} incoming - Incoming itinerary model
+     * @returns {{itinerary: Object, addedActivities: number, addedDays: number}}
+     */
+    function mergeItinerary(local, incoming) {
+        const merged = clone(local);
+        const localIds = new Set();
+        merged.days.forEach(day => day.activities.forEach(activity => localIds.add(activity.id)));
+
+        let addedActivities = 0;
+        let addedDays = 0;
+
+        incoming.days.forEach(incomingDay => {
+            let day = merged.days.find(d => d.id === incomingDay.id);
+            if (!day) {
+                day = { ...clone(incomingDay), number: merged.days.length + 1, activities: [] };
+                merged.days.push(day);
+                addedDays++;
+            }
+
+            let insertAt = 0;
+            incomingDay.activities.forEach(activity => {
+                const existingIndex = day.activities.findIndex(a => a.id === activity.id);
+                if (existingIndex !== -1) {
+                    insertAt = existingIndex + 1;
+                    return;
+                }
+                if (localIds.has(activity.id)) return;
+
+                day.activities.splice(insertAt++, 0, clone(activity));
+                localIds.add(activity.id);
+                addedActivities++;
+            });
+        });
+
+        Object.entries(incoming.alternatives || {}).forEach(([id, alternative]) => {
+            if (!merged.alternatives[id]) {
+                merged.alternatives[id] = clone(alternative);
+            }
+        });
+
+        return { itinerary: merged, addedActivities, addedDays };
+    }
+
+    /**
+     * Merge incoming proposals into local ones. Proposals are matched by id,
+     * or by alternative when both sides proposed the same thing separately.
+     * Incoming voters and comments we don't have are added. When someone
+     * voted differently on each side, the local vote is kept and the
+     * disagreement reported as a conflict.
+     * @param {Object} local - Local proposal lists keyed by activity id
+     * @param {Object} incoming - Incoming proposal lists keyed by activity id
+     * @returns {{suggestions: Object, added: number, votes: number, comments: number, conflicts: Object[]}} -
+     *          conflicts are { activityId, alternativeId, who, local, incoming, kept: 'local' }
+     */
+    function mergeSuggestions(local, incoming) {
+        const merged = clone(local);
+        const conflicts = [];
+        let added = 0;
+        let votes = 0;
+        let comments = 0;
+
+        Object.entries(incoming).forEach(([activityId, proposals]) => {
+            const list = merged[activityId] || (merged[activityId] = []);
+
+            proposals.forEach(proposal => {
+                const existing = list.find(p => p.id === proposal.id) ||
+                    list.find(p => p.alternativeId === proposal.alternativeId);
+                if (!existing) {
+                    list.push(clone(proposal));
+                    added++;
+                    return;
+                }
+
+                Object.entries(proposal.votes).forEach(([who, value]) => {
+                    if (who in existing.votes) {
+                        if (existing.votes[who] !== value) {
+                            conflicts.push({
+                                activityId,
+                                alternativeId: existing.alternativeId,
+                                who,
+                                local: existing.votes[who],
+                                incoming: value,
+                                kept: 'local'
+                            });
+                        }
+                        return;
+                    }
+                    existing.votes[who] = value;
+                    votes++;
+                });
+
+                proposal.comments.forEach(comment => {
+                    const known = existing.comments.some(c =>
+                        c.by === comment.by && c.timestamp === comment.timestamp && c.text === comment.text);
+                    if (known) return;
+                    existing.comments.push(clone(comment));
+                    comments++;
+                });
+                existing.comments.sort((a, b) => a.timestamp - b.timestamp);
+            });
+        });
+
+        return { suggestions: merged, added, votes, comments, conflicts };
+    }
+
+    /**
+     * Encode bytes as URL-safe base64 without padding
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string}
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe base64
+     * @param {string} text - Encoded text
+     * @returns {Uint8Array}
+     */
+    function fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /**
+     * Run bytes through a compression or decompression stream
+     * @param {Uint8Array} bytes - Input
+     * @param {TransformStream} transform - e.g. new CompressionStream('deflate-raw')
+     * @returns {Promise<Uint8Array>}
+     */
+    async function pipeBytes(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Pack an export payload into a share link fragment, e.g. 'share=z.…'.
+     * Compressed ('z') where the browser can, plain JSON ('j') otherwise.
+     * @param {Object} payload - Payload from buildExport()
+     * @returns {Promise<string>} - Fragment without the leading '#'
+     */
+    async function encodeShare(payload) {
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        if (typeof CompressionStream === 'undefined') {
+            return `${config.shareParam}=j.${toBase64Url(bytes)}`;
+        }
+        const compressed = await pipeBytes(bytes, new CompressionStream(config.compression));
+        return `${config.shareParam}=z.${toBase64Url(compressed)}`;
+    }
+
+    /**
+     * Check whether a URL fragment is a share link
+     * @param {string} hash - location.hash
+     * @returns {boolean}
+     */
+    function isShareFragment(hash) {
+        return (hash || '').replace(/^#/, '').startsWith(`${config.shareParam}=`);
+    }
+
+    /**
+     * Unpack and validate a share link fragment
+     * @param {string} hash - location.hash
+     * @returns {Promise<Object>} - Validated payload
+     * @throws {Error} - When the link is damaged or not a usable export
+     */
+    async function decodeShare(hash) {
+        const value = (hash || '').replace(/^#/, '').slice(config.shareParam.length + 1);
+        const match = /^([zj])\.([A-Za-z0-9_-]+)$/.exec(value);
+        if (!match) {
+            throw new Error('Share link is incomplete');
+        }
+
+        let text;
+        try {
+            let bytes = fromBase64Url(match[2]);
+            if (match[1] === 'z') {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('This browser can\'t open compressed share links');
+                }
+                bytes = await pipeBytes(bytes, new DecompressionStream(config.compression));
+            }
+            text = new TextDecoder().decode(bytes);
+        } catch (error) {
+            console.warn('[Transfer] Failed to unpack share link:', error);
+            throw new Error('Share link is damaged');
+        }
+        return parse(text);
+    }
+
+    /**
+     * Build a download file name for a trip export
+     * @param {Object} trip - Trip metadata
+     * @returns {string}
+     */
+    function getFileName(trip) {
+        const date = new Date().toISOString().slice(0, 10);
+        return `${trip.id}-itinerary-${date}.json`;
+    }
+
+    // Public API
+    return {
+        buildExport,
+        parse,
+        mergeItinerary,
+        mergeSuggestions,
+        encodeShare,
+        isShareFragment,
+        decodeShare,
+        getFileName
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransferModule;
+}
@@ -19,7 +19,10 @@
         isFrontCamera: false,
         translationHistory: [],
         currentTranslation: null,
-        historyKey: 'tokyoTranslatorHistory',
+        // History is kept per trip when the itinerary's trip registry is available
+        historyKey: typeof TripsModule !== 'undefined'
+            ? TripsModule.storageKey('translatorHistory')
+            : 'tokyoTranslatorHistory',
         maxHistory: 50,
         // Voice mode state
         mainMode: 'camera', // 'camera' or 'voice'
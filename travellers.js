@@ -0,0 +1,149 @@
+/**
+ * Travellers Module
+ * The people on a trip, each with an avatar emoji and a colour. Names are
+ * what suggestions and expenses refer to, so they can't be renamed.
+ */
+
+const TravellersModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        storageKey: TripsModule.storageKey('travellers'),
+        defaults: [
+            { name: 'Mat', emoji: '👨', color: '#3b82f6' },
+            { name: 'Skye', emoji: '👩', color: '#ec4899' }
+        ],
+        // Handed out in turn to travellers added without a colour
+        palette: ['#3b82f6', '#ec4899', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#14b8a6'],
+        defaultEmoji: '🙂'
+    };
+
+    // Private state
+    let travellers = load();
+
+    /**
+     * Load travellers from localStorage, starting from the defaults
+     * @returns {Object[]}
+     */
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(config.storageKey));
+            if (Array.isArray(stored) && stored.length > 0) return stored;
+        } catch (error) {
+            console.warn('[Travellers] Failed to load travellers:', error);
+        }
+        return config.defaults.map(traveller => ({ ...traveller }));
+    }
+
+    /**
+     * Persist travellers
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.storageKey, JSON.stringify(travellers));
+            TripsModule.announceSave(config.storageKey);
+        } catch (error) {
+            console.error('[Travellers] Failed to save travellers:', error);
+        }
+    }
+
+    /**
+     * Re-read travellers, e.g. after another tab saved them
+     */
+    function reload() {
+        travellers = load();
+    }
+
+    /**
+     * Get all travellers in order
+     * @returns {{name: string, emoji: string, color: string}[]}
+     */
+    function getTravellers() {
+        return travellers;
+    }
+
+    /**
+     * Get a traveller by name
+     * @param {string} name - Traveller name
+     * @returns {Object|null}
+     */
+    function getTraveller(name) {
+        return travellers.find(traveller => traveller.name === name) || null;
+    }
+
+    /**
+     * Check a colour is a hex colour safe to put in a style attribute
+     * @param {string} color - Colour
+     * @returns {boolean}
+     */
+    function isColor(color) {
+        return /^#[0-9a-f]{6}$/i.test(color || '');
+    }
+
+    /**
+     * Add a traveller
+     * @param {Object} fields - { name, emoji, color }
+     * @returns {Object|null} - The new traveller, or null when the name is empty or taken
+     */
+    function addTraveller(fields) {
+        const name = (fields.name || '').trim();
+        const taken = travellers.some(traveller => traveller.name.toLowerCase() === name.toLowerCase());
+        if (!name || taken) return null;
+
+        const traveller = {
+            name,
+            emoji: (fields.emoji || '').trim() || config.defaultEmoji,
+            color: isColor(fields.color) ? fields.color : config.palette[travellers.length % config.palette.length]
+        };
+        travellers.push(traveller);
+        save();
+        return traveller;
+    }
+
+    /**
+     * Change a traveller's avatar or colour
+     * @param {string} name - Traveller name
+     * @param {Object} changes - { emoji, color }
+     * @returns {Object|null} - The updated traveller
+     */
+    function updateTraveller(name, changes) {
+        const traveller = getTraveller(name);
+        if (!traveller) return null;
+
+        if (changes.emoji && changes.emoji.trim()) traveller.emoji = changes.emoji.trim();
+        if (isColor(changes.color)) traveller.color = changes.color;
+        save();
+        return traveller;
+    }
+
+    /**
+     * Remove a traveller. The last one always stays.
+     * @param {string} name - Traveller name
+     * @returns {boolean} - Success status
+     */
+    function removeTraveller(name) {
+        const index = travellers.findIndex(traveller => traveller.name === name);
+        if (index === -1 || travellers.length === 1) return false;
+
+        travellers.splice(index, 1);
+        save();
+        return true;
+    }
+
+    // Public API
+    return {
+        reload,
+        getTravellers,
+        getTraveller,
+        addTraveller,
+        updateTraveller,
+        removeTraveller
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TravellersModule;
+}
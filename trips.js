@@ -0,0 +1,270 @@
+/**
+ * Trips Module
+ * Keeps a registry of trips and namespaces every per-trip localStorage key,
+ * so each trip has its own itinerary, suggestions and budget
+ */
+
+const TripsModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        registryKey: 'tripRegistry',
+        keyPrefix: 'trip',
+        // The original single-trip plan, used when no registry exists yet
+        defaultTrip: {
+            id: 'tokyo',
+            name: 'Tokyo Adventure',
+            subtitle: '4 Days of Wonder',
+            emoji: '🗼',
+            hotel: 'Henn na Hotel, Asakusa'
+        },
+        // Keys written before trips existed, moved into the default trip on first run
+        legacyKeys: {
+            tokyoSuggestions: 'suggestions',
+            tokyoItinerary: 'itinerary',
+            tokyoTranslatorHistory: 'translatorHistory'
+        },
+        // Data that belongs to the original trip only. A copy that kept the
+        // sync settings would push its edits into the original's server trip.
+        uncopiedData: ['sync']
+    };
+
+    // Private state
+    let registry = load();
+
+    /**
+     * Load the trip registry, creating it (and migrating legacy keys) on first run
+     * @returns {{activeId: string, trips: Object[]}}
+     */
+    function load() {
+        try {
+            const stored = localStorage.getItem(config.registryKey);
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                if (parsed && Array.isArray(parsed.trips) && parsed.trips.length > 0) {
+                    return parsed;
+                }
+            }
+        } catch (error) {
+            console.warn('[Trips] Failed to load trip registry:', error);
+        }
+
+        const trip = { ...config.defaultTrip, archived: false, createdAt: Date.now() };
+        const fresh = { activeId: trip.id, trips: [trip] };
+        migrateLegacyKeys(trip.id);
+        localStorage.setItem(config.registryKey, JSON.stringify(fresh));
+        return fresh;
+    }
+
+    /**
+     * Move pre-trip localStorage keys into a trip's namespace
+     * @param {string} tripId - Trip to migrate into
+     */
+    function migrateLegacyKeys(tripId) {
+        Object.entries(config.legacyKeys).forEach(([legacyKey, name]) => {
+            const value = localStorage.getItem(legacyKey);
+            if (value === null) return;
+
+            localStorage.setItem(storageKey(name, tripId), value);
+            localStorage.removeItem(legacyKey);
+            console.log(`[Trips] Migrated ${legacyKey} into trip "${tripId}"`);
+        });
+    }
+
+    /**
+     * Persist the registry
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.registryKey, JSON.stringify(registry));
+        } catch (error) {
+            console.error('[Trips] Failed to save trip registry:', error);
+        }
+    }
+
+    /**
+     * Build the localStorage key for a piece of per-trip data
+     * @param {string} name - Data name (e.g. 'suggestions')
+     * @param {string} tripId - Trip id (defaults to the active trip)
+     * @returns {string}
+     */
+    function storageKey(name, tripId = registry.activeId) {
+        return `${config.keyPrefix}:${tripId}:${name}`;
+    }
+
+    /**
+     * Tell the page a piece of trip data was saved, so it can be shared
+     * beyond this tab (other tabs already hear it through storage events)
+     * @param {string} key - localStorage key that was written
+     */
+    function announceSave(key) {
+        window.dispatchEvent(new CustomEvent('tripdatasaved', { detail: { key } }));
+    }
+
+    /**
+     * Get all localStorage keys belonging to a trip
+     * @param {string} tripId - Trip id
+     * @returns {string[]}
+     */
+    function getTripKeys(tripId) {
+        const prefix = `${config.keyPrefix}:${tripId}:`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix)) keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * Create a unique trip id from a name
+     * @param {string} name - Trip name
+     * @returns {string}
+     */
+    function createTripId(name) {
+        const base = name.toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'trip';
+
+        let id = base;
+        let suffix = 2;
+        while (getTrip(id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Get the active trip
+     * @returns {Object}
+     */
+    function getActiveTrip() {
+        return getTrip(registry.activeId) || registry.trips[0];
+    }
+
+    /**
+     * Get a trip by id
+     * @param {string} tripId - Trip id
+     * @returns {Object|null}
+     */
+    function getTrip(tripId) {
+        return registry.trips.find(trip => trip.id === tripId) || null;
+    }
+
+    /**
+     * Get all trips
+     * @param {boolean} includeArchived - Include archived trips
+     * @returns {Object[]}
+     */
+    function getTrips(includeArchived = false) {
+        return registry.trips.filter(trip => includeArchived || !trip.archived);
+    }
+
+    /**
+     * Create a new trip
+     * @param {Object} details - { name, subtitle, emoji, hotel, startDate }
+     * @returns {Object} - The created trip
+     */
+    function createTrip(details) {
+        const trip = {
+            id: createTripId(details.name),
+            name: details.name,
+            subtitle: details.subtitle || '',
+            emoji: details.emoji || '✈️',
+            hotel: details.hotel || '',
+            startDate: details.startDate || '', // 'YYYY-MM-DD' of day 1
+            archived: false,
+            createdAt: Date.now()
+        };
+        registry.trips.push(trip);
+        save();
+        return trip;
+    }
+
+    /**
+     * Update a trip's name, subtitle, emoji, hotel or start date
+     * @param {string} tripId - Trip id
+     * @param {Object} details - Fields to change
+     * @returns {Object|null} - The updated trip
+     */
+    function updateTrip(tripId, details) {
+        const trip = getTrip(tripId);
+        if (!trip) return null;
+
+        ['name', 'subtitle', 'emoji', 'hotel', 'startDate'].forEach(field => {
+            if (typeof details[field] === 'string') trip[field] = details[field];
+        });
+        save();
+        return trip;
+    }
+
+    /**
+     * Copy a trip and its data (but not its sync settings)
+     * @param {string} tripId - Trip to copy
+     * @returns {Object|null} - The new trip
+     */
+    function duplicateTrip(tripId) {
+        const source = getTrip(tripId);
+        if (!source) return null;
+
+        const copy = createTrip({ ...source, name: `${source.name} (copy)` });
+        const prefix = `${config.keyPrefix}:${tripId}:`;
+        getTripKeys(tripId).forEach(key => {
+            const name = key.slice(prefix.length);
+            if (config.uncopiedData.includes(name)) return;
+            localStorage.setItem(storageKey(name, copy.id), localStorage.getItem(key));
+        });
+        return copy;
+    }
+
+    /**
+     * Archive or restore a trip. The active trip can't be archived.
+     * @param {string} tripId - Trip id
+     * @param {boolean} archived - New archived state
+     * @returns {boolean} - Success status
+     */
+    function setArchived(tripId, archived) {
+        const trip = getTrip(tripId);
+        if (!trip || (archived && tripId === registry.activeId)) return false;
+
+        trip.archived = archived;
+        save();
+        return true;
+    }
+
+    /**
+     * Make a trip the active one
+     * @param {string} tripId - Trip id
+     * @returns {boolean} - Success status
+     */
+    function switchTrip(tripId) {
+        const trip = getTrip(tripId);
+        if (!trip) return false;
+
+        trip.archived = false;
+        registry.activeId = tripId;
+        save();
+        return true;
+    }
+
+    // Public API
+    return {
+        storageKey,
+        announceSave,
+        getActiveTrip,
+        getTrip,
+        getTrips,
+        createTrip,
+        updateTrip,
+        duplicateTrip,
+        setArchived,
+        switchTrip
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TripsModule;
+}
@@ -0,0 +1,182 @@
+/**
+ * Wishlist Module
+ * Things to buy on the trip, per trip. Marking an item bought records the
+ * real price and store, and logs it as a Shopping expense so it counts
+ * towards the budget.
+ */
+
+const WishlistModule = (function() {
+    'use strict';
+
+    // Configuration
+    const config = {
+        storageKey: TripsModule.storageKey('wishlist'),
+        // Starting list for a new trip: Japan-exclusive tech finds
+        defaults: [
+            { id: 'reon-pocket', name: 'Sony Reon Pocket', desc: 'Wearable neck cooler/heater', jpy: 20000, jpyEnd: 30000 },
+            { id: 'pokemon-anker', name: 'Pokémon Anker', desc: 'Japan-exclusive power banks', jpy: 3000, jpyEnd: 10000 },
+            { id: 'instax-mini-link', name: 'Instax Mini Link', desc: 'Phone photo printer', jpy: 10000, jpyEnd: 15000 },
+            { id: 'ambie-ear-cuffs', name: 'Ambie Ear Cuffs', desc: 'Sony spin-off clip-on earbuds', jpy: 10000, jpyEnd: 15000 }
+        ]
+    };
+
+    // Private state
+    let items = load();
+
+    /**
+     * Load the wishlist, starting from the default finds
+     * @returns {Object[]}
+     */
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(config.storageKey));
+            if (Array.isArray(stored)) return stored;
+        } catch (error) {
+            console.warn('[Wishlist] Failed to load wishlist:', error);
+        }
+        return config.defaults.map(item => ({ ...item, bought: null }));
+    }
+
+    /**
+     * Persist the wishlist
+     */
+    function save() {
+        try {
+            localStorage.setItem(config.storageKey, JSON.stringify(items));
+        } catch (error) {
+            console.error('[Wishlist] Failed to save wishlist:', error);
+        }
+    }
+
+    /**
+     * Get all items in list order
+     * @returns {Object[]} - { id, name, desc, jpy, jpyEnd, bought: { jpy, store, date, expenseId } | null }
+     */
+    function getItems() {
+        return items;
+    }
+
+    /**
+     * Get an item by id
+     * @param {string} itemId - Item id
+     * @returns {Object|null}
+     */
+    function getItem(itemId) {
+        return items.find(item => item.id === itemId) || null;
+    }
+
+    /**
+     * Add an item of our own
+     * @param {Object} fields - { name, desc, jpy, jpyEnd }
+     * @returns {Object|null} - The created item, or null without a name and price
+     */
+    function addItem(fields) {
+        const jpy = Math.round(Number(fields.jpy));
+        if (!fields.name || !(jpy > 0)) return null;
+
+        const jpyEnd = Math.round(Number(fields.jpyEnd));
+        const item = {
+            id: `wish-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: fields.name,
+            desc: fields.desc || '',
+            jpy,
+            jpyEnd: jpyEnd > jpy ? jpyEnd : null,
+            bought: null
+        };
+        items.push(item);
+        save();
+        return item;
+    }
+
+    /**
+     * Remove an item, along with the expense logged when it was bought
+     * @param {string} itemId - Item id
+     * @returns {boolean} - Success status
+     */
+    function removeItem(itemId) {
+        const index = items.findIndex(item => item.id === itemId);
+        if (index === -1) return false;
+
+        if (items[index].bought) unmarkBought(itemId);
+        items.splice(index, 1);
+        save();
+        return true;
+    }
+
+    /**
+     * Mark an item bought and log the spend as a Shopping expense
+     * @param {string} itemId - Item id
+     * @param {Object} purchase - { jpy, store, payer }
+     * @returns {Object|null} - The updated item, or null when the price is invalid
+     */
+    function markBought(itemId, purchase) {
+        const item = getItem(itemId);
+        const jpy = Math.round(Number(purchase.jpy));
+        if (!item || !(jpy > 0)) return null;
+
+        if (item.bought) unmarkBought(itemId);
+
+        const store = (purchase.store || '').trim();
+        const expense = ExpensesModule.addExpense({
+            amount: jpy,
+            currency: 'JPY',
+            category: 'Shopping',
+            payer: purchase.payer || '',
+            note: store ? `${item.name} (${store})` : item.name
+        });
+
+        item.bought = {
+            jpy,
+            store,
+            date: expense.date,
+            expenseId: expense.id
+        };
+        save();
+        return item;
+    }
+
+    /**
+     * Put a bought item back on the list and drop its expense
+     * @param {string} itemId - Item id
+     * @returns {boolean} - Success status
+     */
+    function unmarkBought(itemId) {
+        const item = getItem(itemId);
+        if (!item || !item.bought) return false;
+
+        ExpensesModule.removeExpense(item.bought.expenseId);
+        item.bought = null;
+        save();
+        return true;
+    }
+
+    /**
+     * Planned and actual spend
+     * @returns {{low: number, high: number, spent: number}} - low/high from list prices
+     */
+    function summarize() {
+        return items.reduce((summary, item) => {
+            summary.low += item.jpy;
+            summary.high += item.jpyEnd || item.jpy;
+            summary.spent += item.bought ? item.bought.jpy : 0;
+            return summary;
+        }, { low: 0, high: 0, spent: 0 });
+    }
+
+    // Public API
+    return {
+        getItems,
+        getItem,
+        addItem,
+        removeItem,
+        markBought,
+        unmarkBought,
+        summarize
+    };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WishlistModule;
+}